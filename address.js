@@ -0,0 +1,251 @@
+// Importing required libraries
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+
+// Create a new elliptic curve instance using secp256k1
+const ec = new EC('secp256k1');
+
+// The Base58 alphabet (no 0, O, I and l, which are easy to mistake for each other)
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// The version byte of addresses that pay to a public key hash
+const ADDRESS_VERSION = 0x17;
+// The version byte of m-of-n multisig addresses, that pay to the hash of a redeem script
+const MULTISIG_ADDRESS_VERSION = 0x32;
+// The version byte of addresses that pay to the hash of a locking script (timelocks, hash locks)
+const SCRIPT_ADDRESS_VERSION = 0x3f;
+// The maximum number of public keys of a multisig address
+const MAX_MULTISIG_KEYS = 15;
+
+// Helper to hash data with SHA256
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Hashes a public key into the 20 bytes an address is made of: RIPEMD160(SHA256(publicKey)).
+ * @param {Buffer} data - The data to hash.
+ * @returns {Buffer} The 20 byte hash.
+ */
+function hash160(data) {
+    return crypto.createHash('ripemd160').update(sha256(data)).digest();
+}
+
+/**
+ * Encodes bytes in Base58.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The Base58 string.
+ */
+function base58Encode(buffer) {
+    let number = BigInt('0x' + (buffer.toString('hex') || '0'));
+    let encoded = '';
+    while (number > 0n) {
+        encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+        number /= 58n;
+    }
+
+    // Every leading zero byte is kept as a leading '1'
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+}
+
+/**
+ * Decodes a Base58 string.
+ * @param {string} string - The Base58 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+function base58Decode(string) {
+    let number = 0n;
+    for (const character of string) {
+        const digit = BASE58_ALPHABET.indexOf(character);
+        if (digit === -1) {
+            throw new Error("Invalid Base58 character " + character);
+        }
+        number = number * 58n + BigInt(digit);
+    }
+
+    let hex = number === 0n ? '' : number.toString(16);
+    if (hex.length % 2 === 1) {
+        hex = '0' + hex;
+    }
+
+    // Every leading '1' is a leading zero byte
+    let leadingZeros = 0;
+    while (string[leadingZeros] === '1') {
+        leadingZeros++;
+    }
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+/**
+ * Encodes a payload with a version byte and a 4 byte checksum in Base58 (Base58Check).
+ * @param {number} version - The version byte.
+ * @param {Buffer} payload - The payload.
+ * @returns {string} The Base58Check string.
+ */
+function base58CheckEncode(version, payload) {
+    const data = Buffer.concat([Buffer.from([version]), payload]);
+    // The checksum is the first 4 bytes of the double SHA256 of the version and payload
+    const checksum = sha256(sha256(data)).subarray(0, 4);
+    return base58Encode(Buffer.concat([data, checksum]));
+}
+
+/**
+ * Decodes a Base58Check string and checks its checksum.
+ * @param {string} string - The Base58Check string.
+ * @returns {{version: number, payload: Buffer}} The version byte and the payload.
+ */
+function base58CheckDecode(string) {
+    const data = base58Decode(string);
+    if (data.length < 5) {
+        throw new Error("Base58Check string is too short");
+    }
+
+    const checksum = data.subarray(-4);
+    const body = data.subarray(0, -4);
+    if (!sha256(sha256(body)).subarray(0, 4).equals(checksum)) {
+        throw new Error("Invalid checksum");
+    }
+    return { version: body[0], payload: body.subarray(1) };
+}
+
+/**
+ * Derives the address of a public key: the Base58Check of the version byte and the hash160 of the compressed public key.
+ * @param {string} publicKey - The public key (hex, compressed or uncompressed).
+ * @returns {string} The address.
+ */
+function publicKeyToAddress(publicKey) {
+    // Compressed and uncompressed forms of a key must give the same address
+    const compressed = ec.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+    return base58CheckEncode(ADDRESS_VERSION, hash160(Buffer.from(compressed, 'hex')));
+}
+
+/**
+ * Creates the redeem script of an m-of-n multisig address: the threshold and the public keys.
+ * The keys are compressed and sorted, so the same keys give the same address in any order.
+ * @param {number} m - The number of signatures required to spend.
+ * @param {string[]} publicKeys - The n public keys (hex, compressed or uncompressed).
+ * @returns {{m: number, publicKeys: string[]}} The redeem script.
+ * @throws {Error} If the threshold or a public key is invalid, or a key is repeated.
+ */
+function createRedeemScript(m, publicKeys) {
+    if (!Array.isArray(publicKeys) || publicKeys.length === 0 || publicKeys.length > MAX_MULTISIG_KEYS) {
+        throw new Error(`A multisig address needs 1 to ${MAX_MULTISIG_KEYS} public keys`);
+    }
+    if (!Number.isInteger(m) || m < 1 || m > publicKeys.length) {
+        throw new Error(`The threshold must be between 1 and ${publicKeys.length}, got ${m}`);
+    }
+
+    const compressedKeys = publicKeys.map(publicKey => {
+        let key;
+        try {
+            key = ec.keyFromPublic(publicKey, 'hex');
+        } catch {
+            key = null;
+        }
+        if (key === null || !key.validate().result) {
+            throw new Error("Invalid public key " + publicKey);
+        }
+        return key.getPublic(true, 'hex');
+    }).sort();
+
+    if (new Set(compressedKeys).size !== compressedKeys.length) {
+        throw new Error("A public key appears twice in the multisig address");
+    }
+    return { m: m, publicKeys: compressedKeys };
+}
+
+/**
+ * Derives the address of a redeem script: the Base58Check of the multisig version byte
+ * and the hash160 of the threshold, the number of keys and the keys.
+ * @param {{m: number, publicKeys: string[]}} redeemScript - The redeem script, as returned by `createRedeemScript`.
+ * @returns {string} The multisig address.
+ */
+function redeemScriptToAddress(redeemScript) {
+    const data = Buffer.concat([
+        Buffer.from([redeemScript.m, redeemScript.publicKeys.length]),
+        ...redeemScript.publicKeys.map(publicKey => Buffer.from(publicKey, 'hex'))
+    ]);
+    return base58CheckEncode(MULTISIG_ADDRESS_VERSION, hash160(data));
+}
+
+/**
+ * Decodes an address.
+ * @param {string} address - The address.
+ * @returns {{version: number, hash: Buffer}} The version byte and the 20 byte public key, redeem script or locking script hash.
+ * @throws {Error} If the address is malformed, has a bad checksum or an unknown version.
+ */
+function decodeAddress(address) {
+    if (typeof address !== 'string') {
+        throw new Error("Address must be a string");
+    }
+
+    const { version, payload } = base58CheckDecode(address);
+    if (version !== ADDRESS_VERSION && version !== MULTISIG_ADDRESS_VERSION && version !== SCRIPT_ADDRESS_VERSION) {
+        throw new Error("Unknown address version " + version);
+    }
+    if (payload.length !== 20) {
+        throw new Error("Address must hold a 20 byte hash");
+    }
+    return { version: version, hash: payload };
+}
+
+/**
+ * Checks that an address is well formed and its checksum is valid.
+ * @param {string} address - The address.
+ * @returns {boolean} True if the address is valid, false otherwise.
+ */
+function isValidAddress(address) {
+    try {
+        decodeAddress(address);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether an address is a multisig address.
+ * @param {string} address - The address.
+ * @returns {boolean} True if the address is a valid multisig address, false otherwise.
+ */
+function isMultisigAddress(address) {
+    try {
+        return decodeAddress(address).version === MULTISIG_ADDRESS_VERSION;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether an address is the address of a locking script.
+ * @param {string} address - The address.
+ * @returns {boolean} True if the address is a valid script address, false otherwise.
+ */
+function isScriptAddress(address) {
+    try {
+        return decodeAddress(address).version === SCRIPT_ADDRESS_VERSION;
+    } catch {
+        return false;
+    }
+}
+
+module.exports.ADDRESS_VERSION = ADDRESS_VERSION;
+module.exports.MULTISIG_ADDRESS_VERSION = MULTISIG_ADDRESS_VERSION;
+module.exports.SCRIPT_ADDRESS_VERSION = SCRIPT_ADDRESS_VERSION;
+module.exports.MAX_MULTISIG_KEYS = MAX_MULTISIG_KEYS;
+module.exports.hash160 = hash160;
+module.exports.base58Encode = base58Encode;
+module.exports.base58Decode = base58Decode;
+module.exports.base58CheckEncode = base58CheckEncode;
+module.exports.base58CheckDecode = base58CheckDecode;
+module.exports.publicKeyToAddress = publicKeyToAddress;
+module.exports.createRedeemScript = createRedeemScript;
+module.exports.redeemScriptToAddress = redeemScriptToAddress;
+module.exports.decodeAddress = decodeAddress;
+module.exports.isValidAddress = isValidAddress;
+module.exports.isMultisigAddress = isMultisigAddress;
+module.exports.isScriptAddress = isScriptAddress;
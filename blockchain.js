@@ -4,8 +4,16 @@ const EC = require('elliptic').ec;
 const { MerkleTree } = require('merkletreejs');
 const BloomFilter = require('bloom-filter');
 const ec = new EC('secp256k1');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const { publicKeyToAddress, isValidAddress, isMultisigAddress, isScriptAddress, redeemScriptToAddress } = require('./address.js');
+const { normalizeScript, scriptToAddress, evaluateScript } = require('./script.js');
+const { AccountState } = require('./state.js');
+const { Mempool } = require('./mempool.js');
+const { FileStore, getDefaultDataDir } = require('./storage.js');
+const { ConsoleLogger } = require('./logger.js');
 
 /**
  * Represents a transaction in the blockchain.
@@ -16,39 +24,246 @@ class Transaction {
      * @param {string} fromAddress - The sender's address.
      * @param {string} toAddress - The recipient's address.
      * @param {number} amount - The amount to transfer.
+     * @param {number} [maxFeePerGas=0] - The maximum total fee (base fee + tip) the sender is willing to pay.
+     * @param {number} [maxPriorityFee=0] - The maximum tip paid to the miner on top of the base fee.
+     * @param {number} [nonce=0] - The number of transactions the sender made before this one.
+     * @param {number|null} [chainId=null] - The ID of the chain the transaction is meant for.
      */
-    constructor(fromAddress, toAddress, amount) {
+    constructor(fromAddress, toAddress, amount, maxFeePerGas = 0, maxPriorityFee = 0, nonce = 0, chainId = null) {
         this.fromAddress = fromAddress;
         this.toAddress = toAddress;
         this.amount = amount;
+        // Every transaction uses a single unit of gas, so these are the fees of the whole transaction
+        this.maxFeePerGas = maxFeePerGas;
+        this.maxPriorityFee = maxPriorityFee;
+        // The nonce and chain ID protect the signed transaction from being replayed
+        this.nonce = nonce;
+        this.chainId = chainId;
         this.timestamp = Date.now();
     }
 
     /**
      * Calculates the hash of the transaction.
+     * The fees, nonce and chain ID are part of the hash, so they are covered by the signature.
      * @returns {string} The SHA256 hash of the transaction.
      */
     calculateHash() {
-        return SHA256(this.fromAddress + this.toAddress + this.amount + this.timestamp).toString();
+        return SHA256(this.fromAddress + this.toAddress + this.amount + this.maxFeePerGas + this.maxPriorityFee + this.nonce + this.chainId + this.timestamp).toString();
+    }
+
+    /**
+     * Calculates the tip the miner receives when the transaction is included in a block.
+     * @param {number} baseFee - The base fee of the block.
+     * @returns {number} The priority fee paid to the miner.
+     */
+    getEffectiveTip(baseFee) {
+        return Math.max(Math.min(this.maxPriorityFee, this.maxFeePerGas - baseFee), 0);
+    }
+
+    /**
+     * Calculates the part of the max fee that is returned to the sender: maxFee - (baseFee + tip).
+     * @param {number} baseFee - The base fee of the block.
+     * @returns {number} The refund of the sender.
+     */
+    getRefund(baseFee) {
+        return this.maxFeePerGas - (baseFee + this.getEffectiveTip(baseFee));
+    }
+
+    /**
+     * Checks the types and ranges of the amount, fees and nonce, before they are used in any balance arithmetic.
+     * A transfer must move a positive whole number of coins, a miner reward can be 0 (no block reward left and no tips).
+     * @returns {string|null} Why a field is invalid, or null if they are all valid.
+     */
+    getFieldFailure() {
+        const minAmount = this.fromAddress === null ? 0 : 1;
+        if (!Number.isInteger(this.amount) || this.amount < minAmount) {
+            return `amount ${JSON.stringify(this.amount)} must be an integer of at least ${minAmount}`;
+        }
+        for (const field of ['maxFeePerGas', 'maxPriorityFee', 'nonce']) {
+            if (!Number.isInteger(this[field]) || this[field] < 0) {
+                return `${field} ${JSON.stringify(this[field])} must be a non-negative integer`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rebuilds a Transaction instance from its stored (JSON) form.
+     * @param {Object} data - The stored transaction fields.
+     * @returns {Transaction} The restored transaction.
+     */
+    static fromJSON(data) {
+        const transaction = new Transaction(data.fromAddress, data.toAddress, data.amount, data.maxFeePerGas, data.maxPriorityFee, data.nonce, data.chainId);
+        // Keep the original timestamp so the transaction hash stays the same
+        transaction.timestamp = data.timestamp;
+        return transaction;
+    }
+
+    /**
+     * Signs the transaction.
+     * @param {Object} signingKey - The elliptic key pair of the sender.
+     * @returns {{publicKey: string, signature: string}} The witness: the compressed public key (hex) and the DER encoded (hex) signature of the transaction hash.
+     */
+    sign(signingKey) {
+        return {
+            publicKey: signingKey.getPublic(true, 'hex'),
+            signature: signingKey.sign(this.calculateHash(), 'base64').toDER('hex')
+        };
+    }
+
+    /**
+     * Creates an empty witness for a transaction from a multisig address, to collect the signatures in.
+     * @param {{m: number, publicKeys: string[]}} redeemScript - The redeem script of the sender's address.
+     * @returns {{redeemScript: Object, signatures: Array<string|null>}} The witness, with one empty signature per public key.
+     */
+    static createMultisigWitness(redeemScript) {
+        return { redeemScript: redeemScript, signatures: redeemScript.publicKeys.map(() => null) };
+    }
+
+    /**
+     * Adds a signature to the witness of a multisig transaction.
+     * Every holder of a key of the redeem script signs in turn, passing the witness on.
+     * @param {Object} signingKey - The elliptic key pair of one of the keys of the redeem script.
+     * @param {{redeemScript: Object, signatures: Array<string|null>}} witness - The witness so far.
+     * @returns {{redeemScript: Object, signatures: Array<string|null>}} A copy of the witness with the signature of this key.
+     * @throws {Error} If the key is not part of the redeem script.
+     */
+    signMultisig(signingKey, witness) {
+        const index = witness.redeemScript.publicKeys.indexOf(signingKey.getPublic(true, 'hex'));
+        if (index === -1) {
+            throw new Error("The key is not part of the multisig address " + this.fromAddress);
+        }
+
+        const signatures = [...witness.signatures];
+        signatures[index] = signingKey.sign(this.calculateHash(), 'base64').toDER('hex');
+        return { redeemScript: witness.redeemScript, signatures: signatures };
+    }
+
+    /**
+     * Counts the valid signatures in the witness of a multisig transaction.
+     * @param {{redeemScript: Object, signatures: Array<string|null>}} witness - The redeem script and the signatures, one per public key.
+     * @returns {number} The number of keys of the redeem script that signed the transaction, 0 if the redeem script does not match the sender's address.
+     */
+    countMultisigSignatures(witness) {
+        const { redeemScript, signatures } = witness;
+        if (!redeemScript || !Number.isInteger(redeemScript.m) || redeemScript.m < 1 || !Array.isArray(redeemScript.publicKeys)
+            || !Array.isArray(signatures) || signatures.length !== redeemScript.publicKeys.length) {
+            return 0;
+        }
+
+        try {
+            // The address is only a hash, so the witness reveals the redeem script, which must hash to the sender's address
+            if (redeemScriptToAddress(redeemScript) !== this.fromAddress) {
+                return 0;
+            }
+
+            // Each key counts once, as signatures sit at the index of their key
+            const hash = this.calculateHash();
+            return redeemScript.publicKeys.filter((publicKey, index) =>
+                signatures[index] !== null && ec.keyFromPublic(publicKey, 'hex').verify(hash, signatures[index])
+            ).length;
+        } catch {
+            // A malformed public key or signature
+            return 0;
+        }
+    }
+
+    /**
+     * Creates a witness for a transaction from a script address, to collect the signatures in.
+     * @param {Object} script - The locking script of the sender's address.
+     * @param {string|null} [preimage=null] - The preimage (hex) that opens the hash conditions of the script, if any.
+     * @returns {{script: Object, signatures: Object, preimage?: string}} The witness, without signatures.
+     */
+    static createScriptWitness(script, preimage = null) {
+        const witness = { script: normalizeScript(script), signatures: {} };
+        if (preimage !== null) {
+            witness.preimage = preimage;
+        }
+        return witness;
+    }
+
+    /**
+     * Adds a signature to the witness of a transaction from a script address.
+     * @param {Object} signingKey - The elliptic key pair of a key of the script.
+     * @param {{script: Object, signatures: Object}} witness - The witness so far.
+     * @returns {{script: Object, signatures: Object}} A copy of the witness with the signature of this key, by compressed public key.
+     */
+    signScript(signingKey, witness) {
+        const signature = signingKey.sign(this.calculateHash(), 'base64').toDER('hex');
+        return { ...witness, signatures: { ...witness.signatures, [signingKey.getPublic(true, 'hex')]: signature } };
+    }
+
+    /**
+     * Checks the locking script of a transaction from a script address.
+     * @param {{script: Object, signatures: Object, preimage?: string}} witness - The script, the signatures and the preimage of the spender.
+     * @param {{height: number, fundingHeight: number|null}|null} context - The height of the block the transaction goes into, and of the block that last funded the sender's address.
+     * @returns {string|null} Why the spending conditions are not met, or null if they are.
+     */
+    getScriptFailure(witness, context) {
+        if (!witness || !witness.script) {
+            return "no locking script in the witness";
+        }
+        if (!context) {
+            return "no block height to check the conditions against";
+        }
+
+        let script;
+        try {
+            script = normalizeScript(witness.script);
+        } catch (error) {
+            return error.message;
+        }
+        // The address is only a hash, so the witness reveals the script, which must hash to the sender's address
+        if (scriptToAddress(script) !== this.fromAddress) {
+            return "the script does not match the sender's address";
+        }
+        return evaluateScript(script, witness, this.calculateHash(), context);
     }
 
     /**
      * Validates the transaction.
+     * A transaction from a multisig address needs at least m valid signatures of the keys of its redeem script,
+     * and a transaction from a script address must meet the conditions of its script.
+     * @param {Object} witness - The public key and signature of the sender, the redeem script and signatures of a multisig sender, or the script, signatures and preimage of a script sender.
+     * @param {{height: number, fundingHeight: number|null}|null} [context=null] - The heights the timelocks of a script sender are checked against.
      * @returns {boolean} True if the transaction is valid, false otherwise.
      */
-    isValid(signature) {
+    isValid(witness, context = null) {
         if (this.fromAddress === null) return true;
 
-        if (!signature || signature === 0) {
+        if (isScriptAddress(this.fromAddress)) {
+            if (!witness || !witness.script) {
+                throw new Error('No locking script in this transaction');
+            }
+            return this.getScriptFailure(witness, context) === null;
+        }
+
+        if (isMultisigAddress(this.fromAddress)) {
+            if (!witness || !witness.redeemScript || !witness.signatures) {
+                throw new Error('No multisig signatures in this transaction');
+            }
+            // A malformed witness has no valid signature, so it never meets a threshold
+            const signatureCount = this.countMultisigSignatures(witness);
+            return signatureCount > 0 && signatureCount >= witness.redeemScript.m;
+        }
+
+        if (!witness || !witness.publicKey || !witness.signature) {
             throw new Error('No signature in this transaction ');
         }
 
-        const hash = this.calculateHash();
+        try {
+            // The address is only a hash, so the witness reveals the public key, which must hash to the sender's address
+            if (publicKeyToAddress(witness.publicKey) !== this.fromAddress) {
+                return false;
+            }
 
-        // Recover the public key from the private key 
-        const senderKey = ec.keyFromPublic(this.fromAddress, 'hex'); 
-        // Verify the signature with the correct public key
-        return senderKey.verify(hash, signature);
+            // Verify the signature with the revealed public key
+            const senderKey = ec.keyFromPublic(witness.publicKey, 'hex');
+            return senderKey.verify(this.calculateHash(), witness.signature);
+        } catch {
+            // A malformed public key or signature
+            return false;
+        }
     }
 }
 
@@ -60,7 +275,7 @@ class Signature {
     /**
      * Creates a new Signature.
      * @param {string} blockHash - The hash of the block.
-     * @param {Array<string>} signatures - The list of signatures for the block.
+     * @param {Array<Object>} signatures - The list of signatures for the block.
      */
     constructor(blockHash = "", signatures = []) {
         this.blockHash = blockHash;
@@ -76,102 +291,206 @@ class Block {
      * Creates a new Block.
      * @param {string} timestamp - The timestamp of when the block was created.
      * @param {Transaction[]} transactions - The list of transactions in the block.
-     * @param {Array<string>} txSignatures - The list of transaction signatures.
+     * @param {Array<Object>} txSignatures - The list of transaction witnesses (public key and signature).
      * @param {string} [previousHash=""] - The hash of the previous block in the chain.
+     * @param {number} [baseFee=0] - The base fee burned for each transaction in the block (EIP-1559).
+     * @param {number} [difficulty=1] - The proof-of-work difficulty the block is mined at (the expected number of hashes to find it).
+     * @param {string} [stateRoot=""] - The root of the account state after the block's transactions are applied.
      */
-    constructor(timestamp, transactions = [], txSignatures = [], previousHash = "") {
+    constructor(timestamp, transactions = [], txSignatures = [], previousHash = "", baseFee = 0, difficulty = 1, stateRoot = "") {
+        // Header fields, the only data that is hashed for proof of work
+        this.version = Block.VERSION;
         this.previousHash = previousHash;
+        this.stateRoot = stateRoot;
         this.timestamp = timestamp;
+        this.difficulty = difficulty;
+        this.baseFee = baseFee;
+        this.nonce = 0;
 
-        // Store transaction data without signatures for hashing and storage
+        // Store transaction data without signatures, committed to the header by the Merkle root
         this.transactions = transactions;
-
-        this.nonce = 0;
         this.merkleTree = this.createMerkleTree();
+        this.merkleRoot = this.getMerkleRoot();
         this.bloomFilter = this.createBloomFilter();
-        this.hash = SHA256(this.timestamp + JSON.stringify(this.transactions) + this.previousHash + JSON.stringify(txSignatures + this.nonce)).toString();
-
-        // Path to signatures file to implement SegWit
-        this.signaturesPath = path.join(__dirname, 'signatures.json'); 
-        
-        // Load signatures from file
-        const signaturesPool = this.loadMSignatures();
-        // Filter out null signatures
-        txSignatures = txSignatures.filter(item => item !== null)
-        // Create a new Signature object to store the block hash and signatures
-        const signaturesToInclude = new Signature(this.hash, txSignatures);
-        
-        // Save signatures outside of the block to the file
-        signaturesPool.push(signaturesToInclude);
-        this.saveSignatures(signaturesPool);
-    }
-
-    // Helper to load Signatures from file
-    loadMSignatures() {
-        try {
-            // Read the signatures file and parse it as JSON
-            const data = fs.readFileSync(this.signaturesPath, 'utf-8');
-            return JSON.parse(data);
-        } catch {
-            // If the file doesn't exist or is empty, return an empty array
-            return [];
-        }
+
+        // Filter out null signatures (reward transactions are not signed)
+        // They are kept outside of the block data, and saved by the blockchain to the signatures file (SegWit)
+        this.txSignatures = txSignatures.filter(item => item !== null);
+        // The signatures are committed to the header only by the witness root
+        this.witnessRoot = Block.calculateWitnessRoot(this.txSignatures);
+        this.hash = this.calculateHash();
     }
 
-    // Helper to save Signatures to file
-    saveSignatures(signatures) {
-        // Write the signatures array to the file as JSON
-        fs.writeFileSync(this.signaturesPath, JSON.stringify(signatures, null, 2));
+    /**
+     * Rebuilds a Block instance from its stored (JSON) form.
+     * The Merkle Tree and Bloom Filter are recreated from the transactions.
+     * The signatures are not part of the stored block, so `txSignatures` is not set.
+     * @param {Object} data - The stored block fields.
+     * @returns {Block} The restored block.
+     */
+    static fromJSON(data) {
+        const block = Object.create(Block.prototype);
+        block.version = data.version;
+        block.previousHash = data.previousHash;
+        block.timestamp = data.timestamp;
+        block.difficulty = data.difficulty;
+        block.baseFee = data.baseFee;
+        block.nonce = data.nonce;
+        block.merkleRoot = data.merkleRoot;
+        block.witnessRoot = data.witnessRoot;
+        block.stateRoot = data.stateRoot;
+        block.hash = data.hash;
+        block.transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+        block.merkleTree = block.createMerkleTree();
+        block.bloomFilter = block.createBloomFilter();
+        return block;
     }
 
-    // Returns the hash of the block 
-    calculateHash() {
-        // List of signature objects
-        const signaturesPool = this.loadMSignatures();
-        // Find the signature object that matches the current block hash
-        const blockSignetures = signaturesPool.find(sig => sig.blockHash === this.hash);
+    /**
+     * Returns the data of the block that is saved to disk.
+     * @returns {Object} The serializable block fields.
+     */
+    toJSON() {
+        return {
+            ...this.getHeader(),
+            transactions: this.transactions
+        };
+    }
+
+    /**
+     * Hashes a block header. Only the header fields are hashed: the transactions,
+     * signatures and account state are committed through the Merkle root, the witness root and the state root.
+     * @param {Object} header - The block header.
+     * @returns {string} The SHA256 hash of the header.
+     */
+    static hashHeader(header) {
+        const { prefix, suffix } = Block.splitHeader(header);
+        return SHA256(prefix + JSON.stringify(header.nonce) + suffix).toString();
+    }
+
+    // Helper to split the hashed JSON of a header around the nonce, its last field
+    static splitHeader(header) {
+        const json = JSON.stringify([
+            header.version,
+            header.previousHash,
+            header.merkleRoot,
+            header.witnessRoot,
+            header.stateRoot,
+            header.timestamp,
+            header.difficulty,
+            header.baseFee
+        ]);
+        return { prefix: json.slice(0, -1) + ',', suffix: ']' };
+    }
+
+    /**
+     * Returns what a miner needs to try nonces without rebuilding the header:
+     * the hash of nonce n is the SHA256 of `prefix + n + suffix`.
+     * @returns {{prefix: string, suffix: string, target: string}} The header JSON before and after the nonce,
+     * and the target of the block's difficulty as 64 hex digits, so hashes can be compared as strings.
+     */
+    getHashingTemplate() {
+        return {
+            ...Block.splitHeader(this.getHeader()),
+            target: Block.getTarget(this.difficulty).toString(16).padStart(64, '0')
+        };
+    }
+
+    /**
+     * Calculates the root of a Merkle Tree built from the transaction signatures.
+     * @param {Array<Object>} signatures - The signatures of the block, without the null reward signature.
+     * @returns {string} The witness root.
+     */
+    static calculateWitnessRoot(signatures) {
+        // Every witness (public key and signature) is hashed as a whole
+        const signatureHashes = signatures.map(signature => SHA256(JSON.stringify(signature)).toString());
+        return new MerkleTree(signatureHashes, SHA256).getRoot().toString('hex');
+    }
 
-        return SHA256(this.timestamp + JSON.stringify(this.transactions) + this.previousHash + JSON.stringify(blockSignetures.signatures + this.nonce)).toString();
+    // Returns the hash of the block header, with the given nonce
+    calculateHash(nonce = this.nonce) {
+        return Block.hashHeader({ ...this.getHeader(), nonce: nonce });
     }
 
     // Update the hash of the block with a new nonce
     UpadateHash(newNonce) {
-        // List of signature objects
-        const signaturesPool = this.loadMSignatures();
-        // Find the signature object that matches the current block hash
-        const blockSignetures = signaturesPool.find(sig => sig.blockHash === this.hash);
+        this.hash = this.calculateHash(newNonce);
+    }
+
+    /**
+     * Calculates the proof-of-work target of a difficulty: a hash solves the puzzle
+     * when, read as a number, it is not above the target. A difficulty of 16 is the
+     * same as one leading hex zero, but any whole difficulty can be used.
+     * @param {number} difficulty - The expected number of hashes to find a block.
+     * @returns {bigint} The target.
+     */
+    static getTarget(difficulty) {
+        return Block.MAX_TARGET / BigInt(difficulty);
+    }
 
-        // Update the hash with the new nonce
-        this.hash = SHA256(this.timestamp + JSON.stringify(this.transactions) + this.previousHash + JSON.stringify(blockSignetures.signatures + newNonce)).toString();
-        
-        // Upadte the hash of the blockSignetures object
-        blockSignetures.blockHash = this.hash;
+    /**
+     * Checks that a hash solves the proof-of-work puzzle of a difficulty.
+     * @param {string} hash - The block hash (hex).
+     * @param {number} difficulty - The difficulty of the block.
+     * @returns {boolean} True if the hash is not above the target, false otherwise.
+     */
+    static meetsDifficulty(hash, difficulty) {
+        return BigInt('0x' + hash) <= Block.getTarget(difficulty);
+    }
 
-        // Save the updated signatures to the file
-        this.saveSignatures(signaturesPool);
-        
+    // Checks that the block hash solves the proof-of-work puzzle
+    hasValidProofOfWork(difficulty = this.difficulty) {
+        return Block.meetsDifficulty(this.hash, difficulty);
     }
 
-    // Proof of work to mine a block
+    // Proof of work to mine a block, in the calling thread (see miner.js to mine in worker threads)
     mineBlock(difficulty) {
-        while (this.hash.substring(0, difficulty) !== Array(difficulty + 1).join('0')) {
-            // Update the hash with the current nonce
-            this.UpadateHash(this.nonce + 1);
-            // Increment the nonce for the next iteration
-            this.nonce++;
+        // The difficulty is part of the header, so the hash changes with it
+        this.difficulty = difficulty;
+
+        // Only the nonce changes, so the rest of the header is serialized once
+        const { prefix, suffix, target } = this.getHashingTemplate();
+        let nonce = this.nonce;
+        while (crypto.createHash('sha256').update(prefix + nonce + suffix).digest('hex') > target) {
+            nonce++;
         }
-        console.log('Block Mined: ' + this.hash);
+
+        // Write the nonce back once it is found
+        this.UpadateHash(nonce);
+        this.nonce = nonce;
     }
 
     // Builds a Merkle Tree from transaction hashes
     createMerkleTree() {
         // Create a Merkle Tree using SHA256 hashing 
-        const transactionHashes = this.transactions.map(tx =>
-            SHA256(tx.fromAddress + tx.toAddress + tx.amount + tx.timestamp).toString()
-        );
+        const transactionHashes = this.transactions.map(tx => tx.calculateHash());
         return new MerkleTree(transactionHashes, SHA256);
     }
 
+    // Returns the number of transactions in the block, without the miner reward
+    getTransactionCount() {
+        return this.transactions.filter(tx => tx.fromAddress !== null).length;
+    }
+
+    // Returns the total base fee burned in the block
+    getBurnedFees() {
+        return this.baseFee * this.getTransactionCount();
+    }
+
+    // Returns the total priority fees (tips) paid to the miner of the block
+    getPriorityFees() {
+        return this.transactions
+            .filter(tx => tx.fromAddress !== null)
+            .reduce((total, tx) => total + tx.getEffectiveTip(this.baseFee), 0);
+    }
+
+    // Returns the coins paid to the miner by the reward transaction (block reward and tips), the allocations for the genesis block
+    getMinerReward() {
+        return this.transactions
+            .filter(tx => tx.fromAddress === null)
+            .reduce((total, tx) => total + tx.amount, 0);
+    }
+
     // Returns the root hash of the Merkle Tree
     getMerkleRoot() {
         return this.merkleTree.getRoot().toString('hex');
@@ -179,267 +498,1494 @@ class Block {
 
     // Creates a Bloom Filter for the transactions in the block
     createBloomFilter() {
-        const bloomFilter = BloomFilter.create(1000, 0.01); // Initialize Bloom Filter
+        const bloomFilter = Block.createEmptyBloomFilter(); // Initialize Bloom Filter
         for (const tx of this.transactions) {
-            bloomFilter.insert(tx.calculateHash()); // Add transaction hash to the Bloom Filter
+            // Add the transaction hash and its addresses to the Bloom Filter
+            for (const element of Block.getFilterElements(tx)) {
+                bloomFilter.insert(element);
+            }
         }
         return bloomFilter;
     }
 
-    // Checks if a transaction exists in the block 
-    hasTransaction(fromAddress, toAddress, amount, timestamp) {
+    /**
+     * Creates an empty Bloom Filter with the parameters of the block filters.
+     * A light wallet filter created this way can be pre-screened against the block filters.
+     * @returns {BloomFilter} The empty filter.
+     */
+    static createEmptyBloomFilter() {
+        return BloomFilter.create(Block.BLOOM_FILTER_ELEMENTS, Block.BLOOM_FILTER_FP_RATE, Block.BLOOM_FILTER_TWEAK);
+    }
+
+    /**
+     * Lists the elements of a transaction a Bloom Filter can match: its hash and its addresses.
+     * @param {Transaction} transaction - The transaction.
+     * @returns {Buffer[]} The hash (bytes) and the sender and recipient addresses (utf-8), without the missing sender of rewards.
+     */
+    static getFilterElements(transaction) {
+        const elements = [Buffer.from(transaction.calculateHash(), 'hex'), Buffer.from(transaction.toAddress, 'utf-8')];
+        if (transaction.fromAddress !== null) {
+            elements.push(Buffer.from(transaction.fromAddress, 'utf-8'));
+        }
+        return elements;
+    }
+
+    /**
+     * Quickly checks whether a block can have transactions matching a filter, using the block's Bloom Filter.
+     * An element in both filters sets the same bits in each, so if the filters share no set bit, no element
+     * of the filter is in the block. Requiring more shared bits would be wrong: the hash positions of an
+     * element can collide, so an element may set fewer bits than there are hash functions.
+     * @param {BloomFilter} filter - The filter to check.
+     * @returns {boolean} False if no transaction of the block matches, true if some may match (or the filters cannot be compared).
+     */
+    mayMatchFilter(filter) {
+        const blockFilter = this.bloomFilter;
+        // Only filters with the same size, hash functions and tweak set the same bits for an element
+        if (filter.vData.length !== blockFilter.vData.length || filter.nHashFuncs !== blockFilter.nHashFuncs || filter.nTweak !== blockFilter.nTweak) {
+            return true;
+        }
 
-        // Create a new transaction object with the provided details
-        tx = new Transaction(fromAddress, toAddress, amount, timestamp);
+        // A pre-screen must never skip a matching block, so any shared bit is enough to look at the transactions
+        for (let i = 0; i < filter.vData.length; i++) {
+            if ((filter.vData[i] & blockFilter.vData[i]) !== 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Finds the transactions of the block that match a filter.
+     * @param {BloomFilter} filter - The filter, usually of a light wallet.
+     * @returns {Transaction[]} The transactions whose hash or one of whose addresses is in the filter.
+     */
+    getMatchingTransactions(filter) {
+        if (!this.mayMatchFilter(filter)) {
+            return [];
+        }
+        return this.transactions.filter(tx => Block.getFilterElements(tx).some(element => filter.contains(element)));
+    }
 
+    /**
+     * Checks if a transaction exists in the block.
+     * The hash covers every field of the transaction (fees, nonce, chain ID, timestamp), so it is looked up by hash.
+     * @param {string} txHash - The hash of the transaction.
+     * @returns {boolean} True if the transaction is in the block, false otherwise.
+     */
+    hasTransaction(txHash) {
         // Converts the transaction hash into a binary buffer (required by the Merkle Tree)
-        const txHashBuffer = Buffer.from(tx.calculateHash(), 'hex');
+        const txHashBuffer = Buffer.from(txHash, 'hex');
+
+        // Return true if the transaction hash is a leaf of the Merkle Tree, otherwise false
+        return this.merkleTree.getLeafIndex(txHashBuffer) !== -1;
+    }
+
+    /**
+     * Returns the block header: the block data without the transactions,
+     * which is all a light wallet needs to verify Merkle proofs.
+     * @returns {Object} The block header.
+     */
+    getHeader() {
+        return {
+            version: this.version,
+            previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
+            witnessRoot: this.witnessRoot,
+            stateRoot: this.stateRoot,
+            timestamp: this.timestamp,
+            difficulty: this.difficulty,
+            baseFee: this.baseFee,
+            nonce: this.nonce,
+            hash: this.hash
+        };
+    }
+
+    /**
+     * Builds a Merkle proof that a transaction is included in the block.
+     * @param {string} txHash - The hash of the transaction.
+     * @returns {Array<{position: string, data: string}>|null} The proof (sibling hashes from leaf to root), or null if the transaction is not in the block.
+     */
+    getMerkleProof(txHash) {
+        const txHashBuffer = Buffer.from(txHash, 'hex');
+
+        // A transaction that is not a leaf of the tree has no proof
+        if (this.merkleTree.getLeafIndex(txHashBuffer) === -1) {
+            return null;
+        }
 
-        // Check if the transaction hash exists in the Merkle Tree
-        const leafIndex = this.merkleTree.getLeafIndex(txHashBuffer);
+        // Convert the sibling hashes to hex so the proof can be sent as JSON
+        return this.merkleTree.getProof(txHashBuffer).map(node => ({
+            position: node.position,
+            data: node.data.toString('hex')
+        }));
+    }
 
-        // Return true if the transaction exists in the Merkle Tree, otherwise false
-        return leafIndex !== -1;
+    /**
+     * Verifies a Merkle proof against a Merkle root.
+     * @param {Array<{position: string, data: string}>} proof - The proof returned by getMerkleProof.
+     * @param {string} txHash - The hash of the transaction.
+     * @param {string} merkleRoot - The Merkle root of the block header.
+     * @returns {boolean} True if the proof shows the transaction is in the block, false otherwise.
+     */
+    static verifyMerkleProof(proof, txHash, merkleRoot) {
+        if (!Array.isArray(proof) || !merkleRoot) return false;
+
+        const proofBuffers = proof.map(node => ({
+            position: node.position,
+            data: Buffer.from(node.data, 'hex')
+        }));
+        return MerkleTree.verify(proofBuffers, Buffer.from(txHash, 'hex'), Buffer.from(merkleRoot, 'hex'), SHA256);
     }
 }
 
+// The version of the block header format (2 added the state root)
+Block.VERSION = 2;
+// The largest possible SHA256 hash, the target of difficulty 1
+Block.MAX_TARGET = 2n ** 256n - 1n;
+// The parameters of the block Bloom Filters: expected elements, false positive rate and hash seed
+Block.BLOOM_FILTER_ELEMENTS = 1000;
+Block.BLOOM_FILTER_FP_RATE = 0.01;
+Block.BLOOM_FILTER_TWEAK = 0;
+
 /**
  * Represents the blockchain.
+ * All known blocks are kept in a tree, and `chain` is the branch with the most
+ * accumulated work. When another branch overtakes it, the chain is reorganized.
+ *
+ * Events:
+ * - txAccepted `{transaction, witness, replaced}`: a transaction entered the mempool, replacing the pending transaction `replaced` (or null)
+ * - txRejected `{transaction, reason}`: a transaction was refused, `reason` is the error message
+ * - blockMined `(block)`: this node mined a block, emitted before its blockAdded event
+ * - blockAdded `(block)`: a block joined the chain, mined, received or attached by a reorg
+ * - reorg `{forkHash, detached, attached}`: the chain switched to another branch
+ * - mempoolChanged `{pending}`: transactions were added to or removed from the mempool, `pending` is their new number
+ *
+ * Progress messages go to the logger given to the constructor (see logger.js).
  */
-class BlockChain {
+class BlockChain extends EventEmitter {
     /**
      * Creates a new BlockChain.
+     * @param {Object} [store] - The store of the chain, signatures and mempool (see storage.js), the default data directory if omitted (see getDefaultDataDir).
+     * @param {string} [genesisPath] - The genesis file of the network, `genesis.json` in the store or next to the source if omitted.
+     * @param {Object} [logger] - The logger of the progress messages (see logger.js), info and above to stdout if omitted.
      */
-    constructor() {
-        // Initialize the blockchain with the genesis block
-        this.chain = [this.createGenesisBlock()];
-        // Set the mining difficulty
-        this.difficulty = 1;
-        // Set the mining reward
-        this.miningReward = 50;
-        // Set the base fee for transactions
-        this.baseFee = 2;
-        // Set the miner fee for transactions
-        this.minerFee = 3;
-        // Path to the mempool file for storing pending transactions
-        this.mempoolPath = path.join(__dirname, 'transactions.json');
+    constructor(store = new FileStore(getDefaultDataDir()), genesisPath = null, logger = new ConsoleLogger()) {
+        super();
+        // The chain, the block signatures and the mempool are saved to the store
+        this.store = store;
+        this.logger = logger;
+        // Load the network parameters and the initial allocations
+        this.genesis = genesisPath !== null ? BlockChain.loadGenesis(genesisPath) : this.loadStoredGenesis();
+        // Set the ID of the chain, signed into every transaction
+        this.chainId = this.genesis.chainId;
+        // Set the mining difficulty of the first blocks (16 = one leading hex zero)
+        this.initialDifficulty = this.genesis.difficulty;
+        // Set the time the network aims to take to mine a block, in milliseconds
+        this.targetBlockTime = this.genesis.targetBlockTime;
+        // Set the number of blocks between difficulty adjustments
+        this.retargetInterval = this.genesis.retargetInterval;
+        // Set the maximum factor the difficulty can change by in one adjustment
+        this.maxRetargetFactor = this.genesis.maxRetargetFactor;
+        // Set the reward of the first blocks, before any halving
+        this.initialBlockReward = this.genesis.blockReward;
+        // Set the number of blocks between two halvings of the block reward
+        this.halvingInterval = this.genesis.halvingInterval;
+        // Set the maximum number of coins that will ever be issued, genesis allocations included
+        this.maxSupply = this.genesis.maxSupply;
+        // Sum the coins allocated by the genesis block
+        this.allocatedCoins = Object.values(this.genesis.alloc).reduce((total, amount) => total + amount, 0);
+        // Set the base fee of the genesis block (EIP-1559)
+        this.initialBaseFee = this.genesis.baseFee;
+        // Set the maximum number of transactions in a block, without the miner reward
+        this.blockSize = this.genesis.blockSize;
+        // Set the number of transactions per block that keeps the base fee unchanged
+        this.targetBlockSize = this.genesis.targetBlockSize;
+        // Set the maximum base fee change per block (1/8 = 12.5%, as in EIP-1559)
+        this.baseFeeMaxChangeDenominator = this.genesis.baseFeeMaxChangeDenominator;
+        // Set the priority fee (tip) that wallets offer the miner by default
+        this.defaultPriorityFee = this.genesis.defaultPriorityFee;
+        // The pending transactions and their witnesses, saved to the mempool file
+        this.mempool = new Mempool(this.store, this.logger);
+        // Load the saved blockchain, or initialize it with the genesis block
+        this.chain = this.loadChain();
+
+        // Index every known block (main chain and side branches) by hash
+        this.blockIndex = new Map();
+        const signaturesByBlock = this.getSignaturesByBlock();
+        for (const block of this.chain) {
+            this.indexBlock(block, signaturesByBlock.get(block.hash) || []);
+        }
+
+        // Build the account state of the chain, block by block
+        this.state = new AccountState();
+        // Map each block of the chain to the accounts before it, to undo it in a reorg
+        this.stateUndo = new Map();
+        this.chain.forEach((block, i) => {
+            this.applyBlockState(block);
+            if (this.state.getRoot() !== block.stateRoot) {
+                throw new Error(`Saved chain is corrupted: state root mismatch in block ${i}`);
+            }
+        });
+
+        // Drop pending transactions with malformed amounts, fees or nonces, saved before they were checked
+        const entries = this.mempool.getEntries();
+        const wellFormedEntries = entries.filter(entry => {
+            const failure = Transaction.fromJSON(entry.transaction).getFieldFailure();
+            if (failure !== null) {
+                this.logger.warn(`Dropped pending transaction ${entry.transaction.hash}: ${failure}`);
+            }
+            return failure === null;
+        });
+        if (wellFormedEntries.length !== entries.length) {
+            this.mempool.save(wellFormedEntries);
+        }
+        this.expireMempool();
+    }
+
+    // Helper to apply a block to the account state, keeping what is needed to undo it
+    applyBlockState(block) {
+        this.stateUndo.set(block.hash, this.state.applyTransactions(block.transactions, block.baseFee));
+    }
+
+    // Helper to undo a block of the account state
+    revertBlockState(block) {
+        this.state.revert(this.stateUndo.get(block.hash));
+        this.stateUndo.delete(block.hash);
     }
 
     /**
-     * Creates the first block of the blockchain (genesis block).
-     * @returns {Block} The genesis block.
+     * Adds a block to the block tree, with its height and accumulated work.
+     * @param {Block} block - The block to add. Its parent must already be indexed, unless it is the genesis block.
+     * @param {Array<Object>} signatures - The signatures of the block transactions (SegWit).
+     * @returns {Object} The index entry of the block.
      */
-    createGenesisBlock() {
-        // Return a new block with no transactions and a previous hash of "0"
-        return new Block("01/09/2009", [], [], "0");
+    indexBlock(block, signatures) {
+        const parent = this.blockIndex.get(block.previousHash);
+        const entry = {
+            block: block,
+            signatures: signatures,
+            height: parent ? parent.height + 1 : 0,
+            // The work of a block is its difficulty, the expected number of hashes to mine it
+            totalWork: (parent ? parent.totalWork : 0) + block.difficulty
+        };
+        this.blockIndex.set(block.hash, entry);
+        return entry;
     }
 
     /**
-     * Retrieves the most recently added block in the blockchain.
-     * @returns {Block} The latest block.
+     * Builds the branch that ends with a known block, from the genesis block.
+     * @param {string} blockHash - The hash of the last block of the branch.
+     * @returns {Block[]} The blocks of the branch, in chain order.
      */
-    getLatestBlock() {
-        // Return the last block in the chain
-        return this.chain[this.chain.length - 1];
+    getBranch(blockHash) {
+        const branch = [];
+        let entry = this.blockIndex.get(blockHash);
+        while (entry) {
+            branch.push(entry.block);
+            entry = this.blockIndex.get(entry.block.previousHash);
+        }
+        return branch.reverse();
     }
 
     /**
-     * Loads the mempool from the file.
-     * @returns {Object} The mempool containing pending transactions and signatures.
+     * Reads and checks a genesis file.
+     * @param {string} genesisPath - The path of the genesis file.
+     * @returns {Object} The network parameters and the initial allocations (address to amount).
+     * @throws {Error} If the file is missing, is not JSON or has an invalid parameter or allocation.
      */
-    loadMempool() {
+    static loadGenesis(genesisPath) {
+        // A genesis file given by path is an input of the network, not data of the store
+        let genesis;
         try {
-            // Read the mempool file and parse it as JSON
-            const data = fs.readFileSync(this.mempoolPath, 'utf-8');
-            return JSON.parse(data);
-        } catch {
-            // Return an empty mempool if the file does not exist or is empty
-            return { transactions: [], signatures: [] };
+            genesis = JSON.parse(fs.readFileSync(genesisPath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Cannot read the genesis file ${genesisPath}: ${error.message}`);
         }
+        return BlockChain.checkGenesis(genesis);
     }
 
-    /**
-     * Saves the mempool to the file.
-     * @param {Object} mempool - The mempool to save.
-     */
-    saveMempool(mempool) {
-        // Write the mempool to the file as JSON
-        fs.writeFileSync(this.mempoolPath, JSON.stringify(mempool, null, 2));
+    // Helper to load the genesis file of the store, or the default one next to the source
+    loadStoredGenesis() {
+        const genesis = this.store.read(BlockChain.GENESIS_KEY);
+        return genesis === null ? BlockChain.loadGenesis(path.join(__dirname, BlockChain.GENESIS_KEY)) : BlockChain.checkGenesis(genesis);
     }
 
     /**
-     * Adds a transaction and its signature to the pending pool.
-     * @param {Transaction} transaction - The transaction to add.
-     * @param {Object} senderKey - The elliptic key pair of the sender.
+     * Checks the network parameters and the initial allocations of a genesis file.
+     * @param {Object} genesis - The parsed genesis file.
+     * @returns {Object} The same genesis parameters.
+     * @throws {Error} If a parameter or an allocation is invalid.
      */
-    addTransaction(transaction, senderKey) {
-        // Ensure the transaction includes both from and to addresses
-        if (!transaction.fromAddress || !transaction.toAddress) {
-            throw new Error("Transaction must include from and to address");
+    static checkGenesis(genesis) {
+        if (!genesis || typeof genesis !== 'object') {
+            throw new Error("Invalid genesis file: it must be a JSON object");
         }
 
-        // Calculate the hash of the transaction
-        const hash = transaction.calculateHash();
-        // Sign the transaction hash with the sender's private key
-        const signature = senderKey.sign(hash, 'base64').toDER('hex');
-
-        // Validate the transaction using the signature
-        if (!transaction.isValid(signature)) {
-            throw new Error("Cannot add invalid transaction to the chain");
+        // Every parameter is a positive integer, except the rewards and fees that can be 0
+        const parameters = {
+            chainId: 1, timestamp: 0, difficulty: 1, targetBlockTime: 1, retargetInterval: 1, maxRetargetFactor: 1,
+            blockReward: 0, halvingInterval: 1, maxSupply: 1,
+            baseFee: 0, targetBlockSize: 1, baseFeeMaxChangeDenominator: 1, defaultPriorityFee: 0, blockSize: 1
+        };
+        for (const [name, minimum] of Object.entries(parameters)) {
+            if (!Number.isInteger(genesis[name]) || genesis[name] < minimum) {
+                throw new Error(`Invalid genesis file: ${name} must be an integer of at least ${minimum}`);
+            }
         }
 
-        // Get the sender's balance
-        const senderBalance = this.getBalanceOfAddress(transaction.fromAddress);
-        // Calculate the total cost of the transaction (amount + fees)
-        const totalCost = transaction.amount + this.baseFee + this.minerFee;
+        if (!genesis.alloc || typeof genesis.alloc !== 'object') {
+            throw new Error("Invalid genesis file: alloc must map addresses to amounts");
+        }
+        for (const [address, amount] of Object.entries(genesis.alloc)) {
+            if (!isValidAddress(address)) {
+                throw new Error(`Invalid genesis file: invalid address ${address}`);
+            }
+            if (!Number.isInteger(amount) || amount <= 0) {
+                throw new Error(`Invalid genesis file: allocation of ${address} must be a positive integer`);
+            }
+        }
 
-        // Ensure the sender has sufficient balance for the transaction
-        if (senderBalance < totalCost) {
-            throw new Error("Insufficient balance for this transaction " + senderBalance + " < " + totalCost);
+        // The allocations are part of the supply
+        const allocatedCoins = Object.values(genesis.alloc).reduce((total, amount) => total + amount, 0);
+        if (allocatedCoins > genesis.maxSupply) {
+            throw new Error(`Invalid genesis file: the allocations (${allocatedCoins}) exceed maxSupply (${genesis.maxSupply})`);
         }
 
-        // Load the current mempool
-        const mempool = this.loadMempool();
+        return genesis;
+    }
 
-        // Serialize the transaction for storage in the mempool
-        const txData = {
-            fromAddress: transaction.fromAddress,
-            toAddress: transaction.toAddress,
-            amount: transaction.amount,
-            timestamp: transaction.timestamp,
-            hash: transaction.calculateHash()
-        };
+    /**
+     * Creates the transactions of the genesis block: one output per allocation of the genesis file.
+     * @param {Object} genesis - The checked genesis parameters.
+     * @returns {Transaction[]} The allocations, as transactions without a sender.
+     */
+    static createGenesisTransactions(genesis) {
+        return Object.entries(genesis.alloc).map(([address, amount]) => {
+            const transaction = new Transaction(null, address, amount);
+            // The genesis timestamp keeps the genesis block the same on every node
+            transaction.timestamp = genesis.timestamp;
+            return transaction;
+        });
+    }
 
-        // Add the transaction and its signature to the mempool
-        mempool.transactions.push(txData);
-        mempool.signatures.push(signature);
+    /**
+     * Creates the first block of the blockchain (genesis block) from the genesis file.
+     * It only depends on the genesis file, so a light wallet can rebuild it to know the hash the header chain starts with.
+     * @param {Object} genesis - The checked genesis parameters.
+     * @returns {Block} The genesis block.
+     */
+    static createGenesisBlock(genesis) {
+        const transactions = BlockChain.createGenesisTransactions(genesis);
+        // The state of the genesis block holds the allocations
+        const state = new AccountState();
+        state.applyTransactions(transactions, genesis.baseFee);
+
+        // Return a new block with the allocations and a previous hash of "0"
+        return new Block(genesis.timestamp, transactions, [], "0", genesis.baseFee, genesis.difficulty, state.getRoot());
+    }
 
-        // Save the updated mempool to the file
-        this.saveMempool(mempool);
+    // Helper to check that the genesis block holds exactly the allocations of the genesis file
+    matchesGenesisAllocations(block) {
+        const toAllocation = tx => [tx.fromAddress, tx.toAddress, tx.amount, tx.timestamp];
+        return JSON.stringify(block.transactions.map(toAllocation)) === JSON.stringify(BlockChain.createGenesisTransactions(this.genesis).map(toAllocation));
     }
 
     /**
-     * Mines the pending transactions and creates a new block.
-     * @param {string} miningRewardAddress - The address of the miner to receive the reward.
-     * @returns {Block} The newly mined block.
+     * Calculates the difficulty of the block at a height.
+     * Every retargetInterval blocks the difficulty is adjusted by how long the
+     * previous retargetInterval blocks took compared to the target block time,
+     * so the block time stays close to the target when the hashrate changes.
+     * @param {Block[]} chain - The chain the block is added to.
+     * @param {number} height - The height of the block.
+     * @returns {number} The difficulty of the block.
      */
-    minePendingTransactions(miningRewardAddress) {
-        // Load the current mempool
-        const mempool = this.loadMempool();
-
-        // Take up to 3 transactions from the mempool
-        const transactionsToMine = mempool.transactions.slice(0, 3).map(tx =>
-            tx instanceof Transaction
-                ? tx
-                : new Transaction(tx.fromAddress, tx.toAddress, tx.amount, tx.timestamp)
-        );
-        // Take up to 3 signatures from the mempool
-        const signaturesToInclude = mempool.signatures.slice(0, 3);
-
-        // Calculate the total priority fees for the transactions
-        let totalPriorityFees = 0;
-        for (const tx of transactionsToMine) {
-            totalPriorityFees += this.minerFee;
+    calculateDifficulty(chain, height) {
+        return BlockChain.retargetDifficulty(this.genesis, chain, height);
+    }
+
+    /**
+     * Applies the difficulty retarget rule of a network, to full blocks or to block headers alike.
+     * @param {Object} genesis - The checked genesis parameters (targetBlockTime, retargetInterval and maxRetargetFactor).
+     * @param {Array<Object>} chain - The blocks or headers before the block, only their timestamp and difficulty are used.
+     * @param {number} height - The height of the block.
+     * @returns {number} The difficulty of the block.
+     */
+    static retargetDifficulty(genesis, chain, height) {
+        const previousBlock = chain[height - 1];
+
+        // Keep the difficulty between adjustments, and until there are enough timed blocks
+        // (the genesis block has no real timestamp)
+        if (height % genesis.retargetInterval !== 0 || height <= genesis.retargetInterval) {
+            return previousBlock.difficulty;
         }
 
-        // Calculate the miner's reward (mining reward + priority fees)
-        const minerReward = this.miningReward + totalPriorityFees;
-        // Create a reward transaction for the miner
-        const rewardTx = new Transaction(null, miningRewardAddress, minerReward);
-        // Add the reward transaction to the transactions to mine
-        transactionsToMine.push(rewardTx);
-        // Add a null signature for the reward transaction
-        signaturesToInclude.push(null);
+        // Compare the time the last interval took with the time it should have taken
+        const firstBlock = chain[height - 1 - genesis.retargetInterval];
+        const actualTime = Math.max(previousBlock.timestamp - firstBlock.timestamp, 1);
+        const expectedTime = genesis.retargetInterval * genesis.targetBlockTime;
 
-        // Create a new block with the transactions and signatures
-        const block = new Block(Date.now(), transactionsToMine, signaturesToInclude, this.getLatestBlock().hash);
-        // Mine the block by solving the proof-of-work puzzle
-        block.mineBlock(this.difficulty);
+        // Limit the adjustment, and never go below difficulty 1
+        let difficulty = previousBlock.difficulty * expectedTime / actualTime;
+        difficulty = Math.min(difficulty, previousBlock.difficulty * genesis.maxRetargetFactor);
+        difficulty = Math.max(difficulty, previousBlock.difficulty / genesis.maxRetargetFactor);
+        return Math.max(Math.round(difficulty), 1);
+    }
 
-        console.log("Block successfully mined!");
-        // Add the mined block to the blockchain
-        this.chain.push(block);
+    /**
+     * Calculates the median time past of a block: the median timestamp of the MEDIAN_TIME_BLOCKS blocks before it.
+     * @param {Array<Object>} chain - The blocks or headers before the block, only their timestamp is used.
+     * @param {number} height - The height of the block.
+     * @returns {number} The median timestamp.
+     */
+    static getMedianTimePast(chain, height) {
+        const timestamps = chain.slice(Math.max(height - BlockChain.MEDIAN_TIME_BLOCKS, 0), height).map(block => block.timestamp);
+        timestamps.sort((a, b) => a - b);
+        return timestamps[Math.floor(timestamps.length / 2)];
+    }
 
-        // Remove the mined transactions and signatures from the mempool
-        mempool.transactions = mempool.transactions.slice(3);
-        mempool.signatures = mempool.signatures.slice(3);
-        // Save the updated mempool to the file
-        this.saveMempool(mempool);
+    /**
+     * Checks the timestamp of a block after the genesis block, for full blocks or block headers alike.
+     * The timestamp must be later than the median time past, so a miner cannot walk the time of the
+     * chain back, and at most MAX_FUTURE_BLOCK_TIME ahead of the local clock, so it cannot push it forward
+     * and lower the difficulty of the next retarget.
+     * @param {Array<Object>} chain - The blocks or headers before the block, only their timestamp is used.
+     * @param {number} height - The height of the block.
+     * @param {number} timestamp - The timestamp of the block.
+     * @param {number} [now] - The local time, the current time if omitted.
+     * @returns {string|null} Why the timestamp is invalid, or null if it is valid.
+     */
+    static getTimestampFailure(chain, height, timestamp, now = Date.now()) {
+        if (!Number.isInteger(timestamp)) {
+            return `timestamp ${JSON.stringify(timestamp)} is not an integer`;
+        }
+        const medianTimePast = BlockChain.getMedianTimePast(chain, height);
+        if (timestamp <= medianTimePast) {
+            return `timestamp ${timestamp} is not later than the median time past ${medianTimePast}`;
+        }
+        if (timestamp > now + BlockChain.MAX_FUTURE_BLOCK_TIME) {
+            return `timestamp ${timestamp} is more than ${BlockChain.MAX_FUTURE_BLOCK_TIME} ms in the future`;
+        }
+        return null;
+    }
 
-        return block;
+    /**
+     * Retrieves the difficulty the next mined block must meet.
+     * @returns {number} The difficulty of the next block.
+     */
+    getNextDifficulty() {
+        return this.calculateDifficulty(this.chain, this.chain.length);
     }
 
     /**
-     * Retrieves the current balance of a specific address.
-     * @param {string} address - The address to check the balance for.
-     * @returns {number} The balance of the specified address.
+     * Calculates the base fee of the block that follows the given block,
+     * using the EIP-1559 update rule: the base fee goes up when the parent block
+     * was fuller than the target size and down when it was emptier.
+     * Like EIP-1559, whole units and integer division are used.
+     * @param {Block} parentBlock - The parent block.
+     * @returns {number} The base fee of the next block.
      */
-    getBalanceOfAddress(address) {
-        // Initialize the balance with a starting value
-        let balance = 300;
+    calculateBaseFee(parentBlock) {
+        const transactionCount = parentBlock.getTransactionCount();
 
-        // Process all confirmed transactions in the blockchain
-        for (const block of this.chain) {
-            for (const tx of block.transactions) {
-                if (tx.fromAddress === address) {
-                    balance -= tx.amount + this.baseFee + this.minerFee;
-                }
-                if (tx.toAddress === address) {
-                    balance += tx.amount;
-                }
+        // The base fee stays the same when the parent block hit the target exactly
+        if (transactionCount === this.targetBlockSize) {
+            return parentBlock.baseFee;
+        }
+
+        // Change the base fee in proportion to the distance from the target, up to 1/8 per block
+        const sizeDelta = Math.abs(transactionCount - this.targetBlockSize);
+        const feeDelta = Math.floor(parentBlock.baseFee * sizeDelta / this.targetBlockSize / this.baseFeeMaxChangeDenominator);
+
+        if (transactionCount > this.targetBlockSize) {
+            // A full block always raises the base fee by at least 1 coin
+            return parentBlock.baseFee + Math.max(feeDelta, 1);
+        }
+        return parentBlock.baseFee - feeDelta;
+    }
+
+    /**
+     * Retrieves the base fee that the next mined block will burn.
+     * @returns {number} The base fee of the next block.
+     */
+    getNextBaseFee() {
+        return this.calculateBaseFee(this.getLatestBlock());
+    }
+
+    /**
+     * Calculates the block reward at a height: the new coins the miner gets, on top of the tips.
+     * The reward starts at blockReward and halves (rounded down) every halvingInterval blocks,
+     * and the last reward is cut so the issued coins never exceed maxSupply.
+     * @param {number} height - The height of the block.
+     * @returns {number} The block reward, 0 for the genesis block and once the supply cap is reached.
+     */
+    getBlockReward(height) {
+        if (height <= 0) {
+            return 0;
+        }
+        return this.getIssuedCoins(height) - this.getIssuedCoins(height - 1);
+    }
+
+    /**
+     * Calculates the coins issued up to a height: the genesis allocations and the block rewards.
+     * The rewards only depend on the height, so this does not need the blocks.
+     * @param {number} height - The height of the last block.
+     * @returns {number} The issued coins, at most maxSupply.
+     */
+    getIssuedCoins(height) {
+        // Sum the rewards of blocks 1 to height, one halving period at a time
+        let rewards = 0;
+        for (let halvings = 0; halvings * this.halvingInterval < height; halvings++) {
+            const reward = Math.floor(this.initialBlockReward / 2 ** halvings);
+            // Once the reward rounds down to 0 no more coins are created
+            if (reward === 0) break;
+            rewards += reward * Math.min(height - halvings * this.halvingInterval, this.halvingInterval);
+        }
+
+        // The supply cap stops the rewards, whatever the schedule
+        return this.allocatedCoins + Math.min(rewards, this.maxSupply - this.allocatedCoins);
+    }
+
+    /**
+     * Reports the supply of coins at a height of the chain.
+     * @param {number} [height] - The height, the latest block if omitted.
+     * @returns {Object} The height, max supply, allocated, mined, burned, circulating and remaining-to-mine coins, and the reward of the next block.
+     * @throws {Error} If the height is not in the chain.
+     */
+    getSupplyStats(height = this.chain.length - 1) {
+        if (!Number.isInteger(height) || height < 0 || height >= this.chain.length) {
+            throw new Error(`Height ${height} is not in the chain (0 to ${this.chain.length - 1})`);
+        }
+
+        const issuedCoins = this.getIssuedCoins(height);
+        // The base fee of every transaction is burned
+        const burnedCoins = this.chain
+            .slice(0, height + 1)
+            .reduce((total, block) => total + block.getBurnedFees(), 0);
+
+        return {
+            height: height,
+            maxSupply: this.maxSupply,
+            allocatedCoins: this.allocatedCoins,
+            minedCoins: issuedCoins - this.allocatedCoins,
+            burnedCoins: burnedCoins,
+            circulatingCoins: issuedCoins - burnedCoins,
+            remainingCoins: this.maxSupply - issuedCoins,
+            nextBlockReward: this.getBlockReward(height + 1)
+        };
+    }
+
+    /**
+     * Finds the heights the timelocks of a script address are checked against.
+     * Relative timelocks count from the last block that sent coins to the address: the balance is one pool,
+     * so every new payment locks all of it again, and a reused address never releases a new payment early.
+     * @param {Block[]} chain - The chain the transaction is added to.
+     * @param {string} address - The sender's address.
+     * @param {number} height - The height of the block the transaction goes into.
+     * @returns {{height: number, fundingHeight: number|null}} The height, and the height of the last funding block (null if the address was never funded).
+     */
+    getScriptContext(chain, address, height) {
+        let fundingHeight = height - 1;
+        while (fundingHeight >= 0 && !chain[fundingHeight].transactions.some(tx => tx.toAddress === address)) {
+            fundingHeight--;
+        }
+        return { height: height, fundingHeight: fundingHeight === -1 ? null : fundingHeight };
+    }
+
+    /**
+     * Retrieves the most recently added block in the blockchain.
+     * @returns {Block} The latest block.
+     */
+    getLatestBlock() {
+        // Return the last block in the chain
+        return this.chain[this.chain.length - 1];
+    }
+
+    /**
+     * Finds a block of the chain by height or by hash.
+     * @param {number|string} heightOrHash - The height of the block, or its hash.
+     * @returns {Block|null} The block, or null if it is not in the chain.
+     */
+    getBlock(heightOrHash) {
+        // Heights are short numbers, hashes are 64 hex characters
+        if (typeof heightOrHash === 'number' || /^\d{1,20}$/.test(heightOrHash)) {
+            return this.chain[Number(heightOrHash)] || null;
+        }
+        return this.chain.find(block => block.hash === heightOrHash) || null;
+    }
+
+    /**
+     * Loads the blockchain from the chain file.
+     * Blocks are restored as Block instances and their signatures are
+     * re-linked from the signatures file by block hash.
+     * @returns {Block[]} The saved chain, or a new chain with only the genesis block.
+     */
+    loadChain() {
+        const data = this.store.read(BlockChain.CHAIN_KEY);
+        if (data === null) {
+            // Start a new chain if the file does not exist or is empty
+            return [BlockChain.createGenesisBlock(this.genesis)];
+        }
+
+        // Restore the blocks as Block and Transaction instances
+        const chain = data.map(blockData => Block.fromJSON(blockData));
+        // Make sure the loaded chain was not corrupted or modified on disk
+        this.verifyLoadedChain(chain);
+
+        return chain;
+    }
+
+    /**
+     * Checks the integrity of a chain loaded from disk.
+     * @param {Block[]} chain - The restored blocks.
+     * @throws {Error} If a block is not linked, was modified or has no signatures.
+     */
+    verifyLoadedChain(chain) {
+        // Map each block hash to its signatures (SegWit)
+        const signaturesByBlock = this.getSignaturesByBlock();
+
+        // Replay the nonces of every account to detect replayed transactions
+        const nonces = new Map();
+        const seenHashes = new Set();
+
+        for (let i = 0; i < chain.length; i++) {
+            const block = chain[i];
+            const expectedPreviousHash = i === 0 ? "0" : chain[i - 1].hash;
+
+            if (block.previousHash !== expectedPreviousHash) {
+                throw new Error(`Saved chain is corrupted: block ${i} is not linked to the previous block`);
+            }
+
+            // A chain saved with another genesis file belongs to another network
+            if (i === 0 && !this.matchesGenesisAllocations(block)) {
+                throw new Error("Saved chain is corrupted: the genesis block does not match the genesis file");
+            }
+
+            // The rebuilt Merkle Tree must match the root in the header
+            if (block.getMerkleRoot() !== block.merkleRoot) {
+                throw new Error(`Saved chain is corrupted: Merkle root mismatch in block ${i}`);
+            }
+
+            const signatures = signaturesByBlock.get(block.hash);
+            if (!signatures) {
+                throw new Error(`Saved chain is corrupted: no signatures found for block ${i}`);
+            }
+
+            // The signatures must match the witness root in the header
+            if (Block.calculateWitnessRoot(signatures) !== block.witnessRoot) {
+                throw new Error(`Saved chain is corrupted: witness root mismatch in block ${i}`);
+            }
+
+            // The block hash must match the block header
+            if (block.calculateHash() !== block.hash) {
+                throw new Error(`Saved chain is corrupted: hash mismatch in block ${i}`);
+            }
+
+            try {
+                this.checkBlockTransactionOrder(block, nonces, seenHashes);
+            } catch (error) {
+                throw new Error(`Saved chain is corrupted: ${error.message} in block ${i}`);
+            }
+        }
+    }
+
+    /**
+     * Checks the chain ID and nonce of every transaction in a block.
+     * The nonces of each sender must go up by exactly one, starting from 0.
+     * @param {Block} block - The block to check.
+     * @param {Map<string, number>} nonces - The next expected nonce of each address, updated in place.
+     * @param {Set<string>} seenHashes - The hashes of the transactions already seen, updated in place.
+     * @throws {Error} If a transaction is duplicated, has a nonce gap or is for another chain.
+     */
+    checkBlockTransactionOrder(block, nonces, seenHashes) {
+        for (const tx of block.transactions) {
+            // Miner rewards have no sender and no nonce
+            if (tx.fromAddress === null) continue;
+
+            const hash = tx.calculateHash();
+            if (seenHashes.has(hash)) {
+                throw new Error(`duplicate transaction ${hash}`);
+            }
+            seenHashes.add(hash);
+
+            if (tx.chainId !== this.chainId) {
+                throw new Error(`transaction ${hash} is for chain ${tx.chainId}, not ${this.chainId}`);
+            }
+
+            const expectedNonce = nonces.get(tx.fromAddress) || 0;
+            if (tx.nonce !== expectedNonce) {
+                throw new Error(`transaction ${hash} has nonce ${tx.nonce}, expected ${expectedNonce}`);
+            }
+            nonces.set(tx.fromAddress, expectedNonce + 1);
+        }
+    }
+
+    /**
+     * Saves the blockchain to the chain file.
+     * Only the signatures of blocks in the chain are kept in the signatures file.
+     */
+    saveChain() {
+        // Keep the signatures file in sync with the saved chain
+        const signatures = this.chain.map(block => new Signature(block.hash, this.blockIndex.get(block.hash).signatures));
+        this.store.write(BlockChain.SIGNATURES_KEY, signatures);
+
+        // Write the chain to the file as JSON
+        this.store.write(BlockChain.CHAIN_KEY, this.chain);
+    }
+
+    /**
+     * Maps the hash of every block to its signatures (SegWit).
+     * @returns {Map<string, Array<Object>>} The signatures of each block.
+     */
+    getSignaturesByBlock() {
+        const signaturesByBlock = new Map();
+        for (const entry of this.loadSignatures()) {
+            signaturesByBlock.set(entry.blockHash, entry.signatures);
+        }
+        return signaturesByBlock;
+    }
+
+    /**
+     * Retrieves the signatures of a known block, of the chain or of a side branch.
+     * @param {string} blockHash - The hash of the block.
+     * @returns {Array<Object>|null} The signatures of the block, or null if not found.
+     */
+    getBlockSignatures(blockHash) {
+        const entry = this.blockIndex.get(blockHash);
+        return entry ? entry.signatures : null;
+    }
+
+    /**
+     * Adds a block mined by another node to the block tree.
+     * Only the new block is validated, on top of the account state of its parent: the
+     * blocks before it were validated when they were added. If the block extends the
+     * chain, its transactions are removed from the mempool; if it is on a side branch
+     * that now has more work than the chain, the chain is reorganized.
+     * @param {Block} block - The block to add.
+     * @param {Array<Object>} signatures - The signatures of the block transactions (SegWit).
+     * @returns {boolean} True if the block was added, false if it was already known.
+     * @throws {Error} If the parent of the block is unknown or the block is invalid.
+     */
+    addBlock(block, signatures) {
+        // Ignore blocks we already have
+        if (this.blockIndex.has(block.hash)) {
+            return false;
+        }
+
+        if (!this.blockIndex.has(block.previousHash)) {
+            throw new Error("Unknown parent block " + block.previousHash + " of block " + block.hash);
+        }
+
+        const branch = [...this.getBranch(block.previousHash), block];
+        const height = branch.length - 1;
+        const forkHeight = this.findForkHeight(branch);
+        const detached = this.chain.slice(forkHeight + 1);
+        const attached = branch.slice(forkHeight + 1);
+        const sideBlocks = attached.slice(0, -1);
+
+        // Move the account state to the parent of the block: back to the fork, then along the side branch
+        for (const detachedBlock of [...detached].reverse()) {
+            this.revertBlockState(detachedBlock);
+        }
+        for (const sideBlock of sideBlocks) {
+            this.applyBlockState(sideBlock);
+        }
+
+        // A transaction replayed from an earlier block reuses a nonce, so the nonces of the state are enough to catch it
+        const state = {
+            accounts: this.state,
+            nonces: new Map(block.transactions
+                .filter(tx => tx.fromAddress !== null)
+                .map(tx => [tx.fromAddress, this.state.getAccount(tx.fromAddress).nonce])),
+            seenHashes: new Set()
+        };
+        const undo = new Map();
+        let reasons;
+        try {
+            reasons = this.validateBlock(branch, height, signatures, state, undo);
+        } catch (error) {
+            // The state must still be moved back to the chain
+            reasons = [error.message];
+        }
+        const entry = reasons.length === 0 ? this.indexBlock(block, signatures) : null;
+
+        if (entry !== null && entry.totalWork > this.blockIndex.get(this.getLatestBlock().hash).totalWork) {
+            // The state is already the state of the branch, which becomes the chain
+            this.stateUndo.set(block.hash, undo);
+            this.reorganize(branch, forkHeight, detached, attached);
+        } else {
+            // Move the account state back to the chain
+            this.state.revert(undo);
+            for (const sideBlock of [...sideBlocks].reverse()) {
+                this.revertBlockState(sideBlock);
+            }
+            for (const detachedBlock of detached) {
+                this.applyBlockState(detachedBlock);
+            }
+        }
+
+        if (entry === null) {
+            throw new Error("Invalid block " + block.hash + ": " + reasons.join(", "));
+        }
+        return true;
+    }
+
+    // Helper to find the height of the last block a branch shares with the chain
+    findForkHeight(branch) {
+        let forkHeight = Math.min(this.chain.length, branch.length) - 1;
+        while (this.chain[forkHeight].hash !== branch[forkHeight].hash) {
+            forkHeight--;
+        }
+        return forkHeight;
+    }
+
+    /**
+     * Switches the chain to a branch of the block tree whose account state was already applied.
+     * A branch that only adds blocks on top of the chain simply extends it.
+     * @param {Block[]} newChain - The new chain, from the genesis block.
+     * @param {number} forkHeight - The height of the last block both chains share.
+     * @param {Block[]} detached - The blocks of the chain after the fork.
+     * @param {Block[]} attached - The blocks of the new chain after the fork.
+     */
+    reorganize(newChain, forkHeight, detached, attached) {
+        // Switch to the new chain, its signatures are saved with it
+        this.chain = newChain;
+        this.saveChain();
+        this.updateMempool(detached, attached);
+
+        if (detached.length > 0) {
+            this.logger.info(`Chain reorganized at height ${forkHeight}: ${detached.length} blocks detached, ${attached.length} blocks attached`);
+            this.emit('reorg', {
+                forkHash: newChain[forkHeight].hash,
+                detached: detached,
+                attached: attached
+            });
+        }
+        for (const attachedBlock of attached) {
+            this.emit('blockAdded', attachedBlock);
+        }
+    }
+
+    /**
+     * Updates the mempool after blocks were added to or removed from the chain.
+     * Transactions of detached blocks go back to the mempool, and transactions
+     * confirmed by the chain are dropped.
+     * @param {Block[]} detached - The blocks removed from the chain.
+     * @param {Block[]} attached - The blocks added to the chain.
+     */
+    updateMempool(detached, attached) {
+        // Put the transactions of the detached blocks back in front of the pending ones
+        const entries = [];
+        for (const block of detached) {
+            const blockSignatures = this.blockIndex.get(block.hash).signatures;
+            block.transactions
+                .filter(tx => tx.fromAddress !== null)
+                .forEach((tx, index) => entries.push(Mempool.createEntry(tx, blockSignatures[index])));
+        }
+        entries.push(...this.mempool.getEntries());
+
+        // Collect the transactions the chain confirmed
+        const confirmedHashes = new Set();
+        for (const block of this.chain) {
+            for (const tx of block.transactions) {
+                confirmedHashes.add(tx.calculateHash());
+            }
+        }
+
+        // Drop transactions the chain already confirmed, or whose nonce it already used
+        this.mempool.save(entries.filter(({ transaction }) =>
+            !confirmedHashes.has(transaction.hash) && transaction.nonce >= this.state.getAccount(transaction.fromAddress).nonce
+        ));
+        this.emitMempoolChanged();
+    }
+
+    // Helper to drop the expired pending transactions, announcing the change
+    expireMempool() {
+        const expired = this.mempool.expire();
+        if (expired.length > 0) {
+            this.logger.info(`${expired.length} pending transactions expired`);
+            this.emitMempoolChanged();
+        }
+    }
+
+    // Helper to announce a change of the mempool with its new size
+    emitMempoolChanged() {
+        this.emit('mempoolChanged', { pending: this.mempool.getEntries().length });
+    }
+
+    /**
+     * Loads the signatures of the mined blocks from the file.
+     * @returns {Array<Signature>} The list of block signatures.
+     */
+    loadSignatures() {
+        // Return an empty list if the file does not exist or is empty
+        return this.store.read(BlockChain.SIGNATURES_KEY) || [];
+    }
+
+    /**
+     * Retrieves the nonce the next transaction of an address must use.
+     * This is the number of transactions the address has sent, mined or pending.
+     * @param {string} address - The address to get the nonce for.
+     * @returns {number} The next nonce of the address.
+     */
+    getNonce(address) {
+        // The confirmed transactions of the address are counted by the account state
+        let nonce = this.state.getAccount(address).nonce;
+
+        // Count the pending transactions of the address
+        for (const tx of this.mempool.getTransactions()) {
+            if (tx.fromAddress === address) {
+                nonce++;
+            }
+        }
+
+        return nonce;
+    }
+
+    /**
+     * Signs a transaction and adds it with its signature to the pending pool.
+     * @param {Transaction} transaction - The transaction to add.
+     * @param {Object} senderKey - The elliptic key pair of the sender.
+     */
+    addTransaction(transaction, senderKey) {
+        // Sign the transaction hash with the sender's private key
+        const signature = transaction.sign(senderKey);
+
+        this.addSignedTransaction(transaction, signature);
+    }
+
+    /**
+     * Adds an already signed transaction and its signature to the pending pool.
+     * A transaction from a multisig address is only accepted once it has the signatures of its threshold,
+     * and a transaction from a script address once its conditions are met at the height of the next block.
+     * @param {Transaction} transaction - The transaction to add.
+     * @param {Object} signature - The witness: the sender's public key and the signature of the transaction hash, the redeem script and signatures of a multisig sender,
+     * or the script, signatures and preimage of a script sender.
+     * @throws {Error} If the transaction is refused, after a txRejected event with the reason.
+     */
+    addSignedTransaction(transaction, signature) {
+        let replaced;
+        try {
+            replaced = this.acceptTransaction(transaction, signature);
+        } catch (error) {
+            this.emit('txRejected', { transaction: transaction, reason: error.message });
+            throw error;
+        }
+
+        this.emit('txAccepted', { transaction: transaction, witness: signature, replaced: replaced === null ? null : replaced.transaction });
+        this.emitMempoolChanged();
+    }
+
+    // Helper to validate a signed transaction and add it to the mempool, returning the mempool entry it replaced (or null)
+    acceptTransaction(transaction, signature) {
+        // Ensure the transaction includes both from and to addresses
+        if (!transaction.fromAddress || !transaction.toAddress) {
+            throw new Error("Transaction must include from and to address");
+        }
+
+        // The amount, fees and nonce must be integers before they are added up (a string would concatenate)
+        const fieldFailure = transaction.getFieldFailure();
+        if (fieldFailure !== null) {
+            throw new Error("Invalid transaction: " + fieldFailure);
+        }
+
+        // A typo in an address breaks its checksum, so the coins are not sent to an address nobody owns
+        if (!isValidAddress(transaction.fromAddress)) {
+            throw new Error("Invalid sender address " + transaction.fromAddress);
+        }
+        if (!isValidAddress(transaction.toAddress)) {
+            throw new Error("Invalid recipient address " + transaction.toAddress);
+        }
+
+        // Calculate the hash of the transaction
+        const hash = transaction.calculateHash();
+
+        // Reject transactions signed for another network
+        if (transaction.chainId !== this.chainId) {
+            throw new Error("Transaction is for chain " + transaction.chainId + ", this chain is " + this.chainId);
+        }
+
+        // Expired transactions no longer count as submitted, nor hold their nonce
+        this.expireMempool();
+
+        // Reject a transaction that was already submitted or mined
+        if (this.mempool.has(hash) || this.searchTransaction(hash) !== null) {
+            throw new Error("Duplicate transaction " + hash);
+        }
+
+        // A pending transaction with the same nonce can be replaced by one paying more (replace-by-fee)
+        const replaced = this.mempool.find(transaction.fromAddress, transaction.nonce);
+
+        // The nonce must be exactly one more than the sender's last nonce
+        const expectedNonce = this.getNonce(transaction.fromAddress);
+        if (transaction.nonce < expectedNonce && replaced === null) {
+            throw new Error("Nonce too low: " + transaction.nonce + " was already used, expected " + expectedNonce);
+        }
+        if (transaction.nonce > expectedNonce) {
+            throw new Error("Nonce gap: expected " + expectedNonce + ", got " + transaction.nonce);
+        }
+
+        // Tell a multisig sender how many signatures are still missing
+        if (isMultisigAddress(transaction.fromAddress) && signature && signature.redeemScript) {
+            const signatureCount = transaction.countMultisigSignatures(signature);
+            if (signatureCount < signature.redeemScript.m) {
+                throw new Error(`Multisig transaction has ${signatureCount} of the ${signature.redeemScript.m} required signatures`);
+            }
+        }
+
+        // Tell a script sender which spending condition is not met, the timelocks are checked against the next block
+        const scriptContext = this.getScriptContext(this.chain, transaction.fromAddress, this.chain.length);
+        if (isScriptAddress(transaction.fromAddress)) {
+            const failure = transaction.getScriptFailure(signature, scriptContext);
+            if (failure !== null) {
+                throw new Error("Spending conditions not met: " + failure);
+            }
+        }
+
+        // Validate the transaction using the signature
+        if (!transaction.isValid(signature, scriptContext)) {
+            throw new Error("Cannot add invalid transaction to the chain");
+        }
+
+        // The fees must be valid and cover the base fee of the next block
+        if (transaction.maxPriorityFee < 0 || transaction.maxFeePerGas < transaction.maxPriorityFee) {
+            throw new Error("Max fee per gas must be at least the max priority fee");
+        }
+        if (transaction.maxFeePerGas < this.getNextBaseFee()) {
+            throw new Error("Max fee per gas is below the current base fee " + transaction.maxFeePerGas + " < " + this.getNextBaseFee());
+        }
+
+        // Get the sender's balance, without the transaction being replaced
+        let senderBalance = this.getBalanceOfAddress(transaction.fromAddress);
+        if (replaced !== null) {
+            senderBalance += replaced.transaction.amount + replaced.transaction.maxFeePerGas;
+            if (replaced.transaction.toAddress === transaction.fromAddress) {
+                senderBalance -= replaced.transaction.amount;
+            }
+        }
+        // Calculate the total cost of the transaction (amount + max fee, the unused part is refunded)
+        const totalCost = transaction.amount + transaction.maxFeePerGas;
+
+        // Ensure the sender has sufficient balance for the transaction
+        if (senderBalance < totalCost) {
+            throw new Error("Insufficient balance for this transaction " + senderBalance + " < " + totalCost);
+        }
+
+        // Add the transaction and its signature to the mempool, replacing the pending one with the same nonce
+        return this.mempool.add(transaction, signature, this.getNextBaseFee());
+    }
+
+    /**
+     * Mines the pending transactions and creates a new block, in the calling thread.
+     * @param {string} miningRewardAddress - The address of the miner to receive the reward.
+     * @returns {Block} The newly mined block.
+     */
+    minePendingTransactions(miningRewardAddress) {
+        const template = this.createBlockTemplate(miningRewardAddress);
+        // Mine the block by solving the proof-of-work puzzle
+        template.block.mineBlock(template.block.difficulty);
+        return this.addMinedBlock(template);
+    }
+
+    /**
+     * Mines the pending transactions and creates a new block, in the worker threads of a miner.
+     * When a competing block joins the chain or the mempool changes, the block is stale: the workers
+     * are stopped and mining starts over on the new chain tip with the new pending transactions.
+     * @param {string} miningRewardAddress - The address of the miner to receive the reward.
+     * @param {Miner} miner - The miner (see miner.js).
+     * @returns {Promise<Block|null>} The newly mined block, or null if the miner was aborted.
+     */
+    async minePendingTransactionsAsync(miningRewardAddress, miner) {
+        for (;;) {
+            const template = this.createBlockTemplate(miningRewardAddress);
+
+            let stale = false;
+            const onChange = () => {
+                stale = true;
+                miner.abort();
+            };
+            this.on('blockAdded', onChange);
+            this.on('mempoolChanged', onChange);
+
+            let result;
+            try {
+                result = await miner.mine(template.block);
+            } finally {
+                this.off('blockAdded', onChange);
+                this.off('mempoolChanged', onChange);
+            }
+
+            // A block found just before the chain changed is stale too
+            if (result !== null && !stale) {
+                this.logger.info(`Hashrate: ${result.hashrate} H/s (${result.hashes} hashes in ${result.elapsed} ms)`);
+                return this.addMinedBlock(template);
+            }
+            if (!stale) {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Builds the next block from the pending transactions, ready to be mined.
+     * The account state of the chain is not changed until the block is mined and added.
+     * @param {string} miningRewardAddress - The address of the miner to receive the reward.
+     * @returns {{block: Block, entries: Array<Object>}} The block, with a nonce of 0, and the mempool entries it includes.
+     */
+    createBlockTemplate(miningRewardAddress) {
+        // Never mine a transaction that expired while it waited
+        this.expireMempool();
+
+        // The base fee of this block is burned for every transaction it includes
+        const baseFee = this.getNextBaseFee();
+
+        // Pick the highest paying transactions that can pay the base fee, up to blockSize
+        const selectedEntries = this.selectTransactions(this.mempool.getEntries(), baseFee);
+
+        const transactionsToMine = selectedEntries.map(entry => Transaction.fromJSON(entry.transaction));
+        const signaturesToInclude = selectedEntries.map(entry => entry.witness);
+
+        // Calculate the total priority fees (tips) for the transactions
+        let totalPriorityFees = 0;
+        for (const tx of transactionsToMine) {
+            totalPriorityFees += tx.getEffectiveTip(baseFee);
+        }
+
+        // Calculate the miner's reward (block reward of this height + priority fees)
+        const minerReward = this.getBlockReward(this.chain.length) + totalPriorityFees;
+        // Create a reward transaction for the miner
+        const rewardTx = new Transaction(null, miningRewardAddress, minerReward);
+        // Add the reward transaction to the transactions to mine
+        transactionsToMine.push(rewardTx);
+        // Add a null signature for the reward transaction
+        signaturesToInclude.push(null);
+
+        // Apply the transactions to a copy of the account state, the header commits to the resulting state root
+        const state = this.state.clone();
+        state.applyTransactions(transactionsToMine, baseFee);
+
+        // Create a new block with the transactions and signatures
+        // The difficulty follows the observed block times
+        const difficulty = this.getNextDifficulty();
+        // The clock may not have moved since the last blocks, the timestamp must still be later than their median
+        const timestamp = Math.max(Date.now(), BlockChain.getMedianTimePast(this.chain, this.chain.length) + 1);
+        const block = new Block(timestamp, transactionsToMine, signaturesToInclude, this.getLatestBlock().hash, baseFee, difficulty, state.getRoot());
+        return { block: block, entries: selectedEntries };
+    }
+
+    // Helper to add a block built by createBlockTemplate to the chain, once it is mined
+    addMinedBlock({ block, entries }) {
+        this.logger.info(`Block mined: ${block.hash}`);
+        this.logger.info(`Base fee: ${block.baseFee}, burned: ${block.getBurnedFees()}, tips: ${block.getPriorityFees()}`);
+        // Add the mined block to the blockchain, the block tree and the account state
+        this.chain.push(block);
+        this.indexBlock(block, block.txSignatures);
+        this.applyBlockState(block);
+        // Save the blockchain so it survives a restart
+        this.saveChain();
+
+        // Remove the mined transactions and their witnesses from the mempool
+        this.mempool.remove(entries.map(entry => entry.transaction.hash));
+        this.emit('blockMined', block);
+        this.emit('blockAdded', block);
+        if (entries.length > 0) {
+            this.emitMempoolChanged();
+        }
+
+        return block;
+    }
+
+    /**
+     * Chooses the mempool transactions for the next block: the highest tips first,
+     * while the transactions of each sender stay in nonce order.
+     * Transactions whose spending conditions are not met at the next height wait in the mempool.
+     * @param {Array<Object>} entries - The entries of the mempool: transactions and their witnesses.
+     * @param {number} baseFee - The base fee of the next block.
+     * @returns {Array<Object>} The chosen entries, in block order.
+     */
+    selectTransactions(entries, baseFee) {
+        // Queue the transactions of each sender by nonce
+        const queues = new Map();
+        for (const entry of entries) {
+            const tx = Transaction.fromJSON(entry.transaction);
+            if (!queues.has(tx.fromAddress)) {
+                queues.set(tx.fromAddress, []);
+            }
+            // A timelock can be met when the transaction was added and not anymore after a reorg
+            const spendable = !isScriptAddress(tx.fromAddress)
+                || tx.getScriptFailure(entry.witness, this.getScriptContext(this.chain, tx.fromAddress, this.chain.length)) === null;
+            queues.get(tx.fromAddress).push({ tx, entry, spendable });
+        }
+        for (const queue of queues.values()) {
+            queue.sort((a, b) => a.tx.nonce - b.tx.nonce);
+        }
+
+        const selectedEntries = [];
+        while (selectedEntries.length < this.blockSize) {
+            // Only the next transaction of each sender can be included
+            let best = null;
+            for (const queue of queues.values()) {
+                const next = queue[0];
+                if (!next || !next.spendable || next.tx.maxFeePerGas < baseFee) continue;
+                if (best === null || next.tx.getEffectiveTip(baseFee) > best.tx.getEffectiveTip(baseFee)) {
+                    best = next;
+                }
+            }
+
+            // Stop when no sender has a transaction that can pay the base fee
+            if (best === null) break;
+
+            queues.get(best.tx.fromAddress).shift();
+            selectedEntries.push(best.entry);
+        }
+
+        return selectedEntries;
+    }
+
+    /**
+     * Retrieves the current balance of a specific address.
+     * @param {string} address - The address to check the balance for.
+     * @returns {number} The balance of the specified address.
+     */
+    getBalanceOfAddress(address) {
+        // The confirmed balance is kept up to date by the account state
+        let balance = this.state.getAccount(address).balance;
+
+        // Process all pending transactions in the mempool
+        for (const tx of this.mempool.getTransactions()) {
+            if (tx.fromAddress === address) {
+                // Reserve the max fee until the transaction is mined
+                balance -= tx.amount + tx.maxFeePerGas;
+            }
+            if (tx.toAddress === address) {
+                balance += tx.amount;
+            }
+        }
+
+        return balance;
+    }
+
+    /**
+     * Validates the entire blockchain.
+     * @returns {boolean} True if the blockchain is valid, false otherwise.
+     */
+    isChainValid() {
+        return this.validateChain().valid;
+    }
+
+    /**
+     * Validates the entire blockchain by replaying every block in order.
+     * @param {Block[]} [chain=this.chain] - The chain to validate.
+     * @param {Map<string, Array<Object>>} [signaturesByBlock] - The signatures of each block, read from the signatures file if omitted.
+     * @returns {{valid: boolean, errors: Array<{index: number, hash: string, reason: string}>}} The validation report, with one entry for every problem found.
+     */
+    validateChain(chain = this.chain, signaturesByBlock = this.getSignaturesByBlock()) {
+        const errors = [];
+
+        // The state built while replaying the blocks
+        const state = {
+            accounts: new AccountState(),
+            nonces: new Map(),
+            seenHashes: new Set()
+        };
+
+        for (let i = 0; i < chain.length; i++) {
+            const block = chain[i];
+            const signatures = signaturesByBlock.get(block.hash);
+
+            for (const reason of this.validateBlock(chain, i, signatures, state)) {
+                errors.push({ index: i, hash: block.hash, reason: reason });
+            }
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Validates a single block on top of the blocks before it.
+     * @param {Block[]} chain - The chain the block belongs to.
+     * @param {number} height - The height of the block in the chain.
+     * @param {Array<Object>|undefined} signatures - The signatures of the block from the SegWit store.
+     * @param {Object} state - The account state, nonces and transaction hashes of the blocks before, updated in place.
+     * @param {Map<string, Object|null>} [undo] - The accounts before the block, filled in place to undo it (see AccountState.revert).
+     * @returns {Array<string>} The reasons the block is invalid, empty if the block is valid.
+     */
+    validateBlock(chain, height, signatures, state, undo = new Map()) {
+        const reasons = [];
+        const block = chain[height];
+        const previousBlock = height === 0 ? null : chain[height - 1];
+
+        // Linkage to the previous block
+        const expectedPreviousHash = previousBlock === null ? "0" : previousBlock.hash;
+        if (block.previousHash !== expectedPreviousHash) {
+            reasons.push(`previous hash ${block.previousHash} does not match ${expectedPreviousHash}`);
+        }
+
+        // The signatures of the block must be in the SegWit store
+        if (!signatures) {
+            reasons.push("no signatures found in the signature store");
+            return reasons;
+        }
+
+        // The hash must match the block header, and solve the puzzle for every block except the genesis block
+        if (block.calculateHash() !== block.hash) {
+            reasons.push("hash does not match the block header");
+        }
+        const expectedDifficulty = previousBlock === null ? this.initialDifficulty : this.calculateDifficulty(chain, height);
+        if (block.difficulty !== expectedDifficulty) {
+            reasons.push(`difficulty ${block.difficulty} does not match the expected difficulty ${expectedDifficulty}`);
+        }
+        if (previousBlock !== null && !block.hasValidProofOfWork()) {
+            reasons.push(`hash does not meet the difficulty ${block.difficulty}`);
+        }
+
+        // The timestamps drive the difficulty retarget, so they must stay between the recent blocks and the local clock
+        const timestampFailure = previousBlock === null ? null : BlockChain.getTimestampFailure(chain, height, block.timestamp);
+        if (timestampFailure !== null) {
+            reasons.push(timestampFailure);
+        }
+
+        // The Merkle root in the header must match the transactions in the block body
+        const merkleRoot = block.createMerkleTree().getRoot().toString('hex');
+        if (merkleRoot !== block.merkleRoot) {
+            reasons.push(`Merkle root ${block.merkleRoot} does not match the transactions (${merkleRoot})`);
+        }
+
+        // The witness root in the header must match the signatures in the SegWit store
+        const witnessRoot = Block.calculateWitnessRoot(signatures);
+        if (witnessRoot !== block.witnessRoot) {
+            reasons.push(`witness root ${block.witnessRoot} does not match the signatures (${witnessRoot})`);
+        }
+
+        // The base fee must follow the EIP-1559 update rule
+        const expectedBaseFee = previousBlock === null ? this.initialBaseFee : this.calculateBaseFee(previousBlock);
+        if (block.baseFee !== expectedBaseFee) {
+            reasons.push(`base fee ${block.baseFee} does not match the expected base fee ${expectedBaseFee}`);
+        }
+
+        // Every transaction except the miner reward must have a valid signature (the reward is always last)
+        const transactions = block.transactions.filter(tx => tx.fromAddress !== null);
+        if (transactions.length > this.blockSize) {
+            reasons.push(`${transactions.length} transactions, more than the block size limit of ${this.blockSize}`);
+        }
+        if (signatures.length !== transactions.length) {
+            reasons.push(`${transactions.length} transactions but ${signatures.length} signatures`);
+        }
+        transactions.forEach((tx, index) => {
+            if (isScriptAddress(tx.fromAddress)) {
+                // The conditions of a script sender are checked at the height of the block
+                const failure = tx.getScriptFailure(signatures[index], this.getScriptContext(chain, tx.fromAddress, height));
+                if (failure !== null) {
+                    reasons.push(`transaction ${tx.calculateHash()} does not meet its spending conditions: ${failure}`);
+                }
+            } else {
+                let validSignature = false;
+                try {
+                    validSignature = tx.isValid(signatures[index]);
+                } catch {
+                    validSignature = false;
+                }
+                if (!validSignature) {
+                    reasons.push(`invalid signature for transaction ${tx.calculateHash()}`);
+                }
+            }
+            if (tx.maxFeePerGas < block.baseFee) {
+                reasons.push(`transaction ${tx.calculateHash()} max fee ${tx.maxFeePerGas} is below the base fee ${block.baseFee}`);
+            }
+        });
+
+        // Every recipient, including the miner, must be a well formed address,
+        // and every amount, fee and nonce an integer in range
+        const malformed = new Set();
+        for (const tx of block.transactions) {
+            if (!isValidAddress(tx.toAddress)) {
+                reasons.push(`invalid recipient address ${tx.toAddress} in transaction ${tx.calculateHash()}`);
+            }
+            const failure = tx.getFieldFailure();
+            if (failure !== null) {
+                reasons.push(`transaction ${tx.calculateHash()} is malformed: ${failure}`);
+                malformed.add(tx);
+            }
+        }
+
+        // Chain IDs, nonces and duplicates
+        try {
+            this.checkBlockTransactionOrder(block, state.nonces, state.seenHashes);
+        } catch (error) {
+            reasons.push(error.message);
+        }
+
+        if (previousBlock === null) {
+            // The genesis block has no miner reward, only the allocations of the genesis file
+            if (!this.matchesGenesisAllocations(block)) {
+                reasons.push("genesis allocations do not match the genesis file");
+            }
+        } else {
+            // Exactly one miner reward of the block reward of this height plus the tips
+            const rewards = block.transactions.filter(tx => tx.fromAddress === null);
+            const expectedReward = this.getBlockReward(height) + block.getPriorityFees();
+            if (rewards.length !== 1) {
+                reasons.push(`${rewards.length} miner reward transactions, expected exactly 1`);
+            } else if (rewards[0].amount !== expectedReward) {
+                reasons.push(`miner reward ${rewards[0].amount} does not match the expected reward ${expectedReward}`);
             }
         }
 
-        // Process all pending transactions in the mempool
-        const mempool = this.loadMempool();
-        if (mempool !== null) {
-            for (const tx of mempool.transactions) {
-                if (tx.fromAddress === address) {
-                    balance -= tx.amount + this.baseFee + this.minerFee;
-                }
-                if (tx.toAddress === address) {
-                    balance += tx.amount;
+        // Replay the transactions in order, no balance of the sender or the recipient (the miner for the reward) may go negative
+        // A malformed transaction is not replayed, so it cannot turn the balances of the later blocks into nonsense
+        for (const tx of block.transactions) {
+            if (malformed.has(tx)) continue;
+
+            state.accounts.applyTransaction(tx, block.baseFee, undo);
+            for (const address of new Set([tx.fromAddress, tx.toAddress])) {
+                if (address === null) continue;
+                const balance = state.accounts.getAccount(address).balance;
+                if (balance < 0) {
+                    reasons.push(`balance of ${address} goes negative (${balance}) in transaction ${tx.calculateHash()}`);
                 }
             }
         }
 
-        return balance;
+        // The state root in the header must match the accounts after the block
+        const stateRoot = state.accounts.getRoot();
+        if (stateRoot !== block.stateRoot) {
+            reasons.push(`state root ${block.stateRoot} does not match the accounts (${stateRoot})`);
+        }
+
+        return reasons;
     }
 
     /**
-     * Validates the entire blockchain.
-     * @returns {boolean} True if the blockchain is valid, false otherwise.
+     * Searches for a transaction in the blockchain using the Bloom Filter.
+     * @param {string} hash - The hash of the transaction to search for.
+     * @returns {Transaction|null} The transaction if found, or null if not found.
      */
-    isChainValid() {
-        for (let i = 1; i < this.chain.length; i++) {
-            const currentBlock = this.chain[i];
-            const previousBlock = this.chain[i - 1];
-
-            // Retrieve the full transactions for the current block
-            const fullTransactions = this.getFullTransactions(currentBlock);
-
-            // Validate the transactions and block hashes
-            if (!currentBlock.hasValidTransactions(fullTransactions)) return false;
-            if (currentBlock.hash !== currentBlock.calculateHash()) return false;
-            if (currentBlock.previousHash !== previousBlock.hash) return false;
+    searchTransaction(hash) {
+        const block = this.findBlockOfTransaction(hash);
+        if (block === null) {
+            // Return null if the transaction is not found
+            return null;
         }
 
-        return true;
+        // Return the found transaction
+        return block.transactions.find(tx => tx.calculateHash() === hash);
     }
 
     /**
-     * Searches for a transaction in the blockchain using the Bloom Filter.
+     * Finds the block that includes a transaction, using the Bloom Filter.
      * @param {string} hash - The hash of the transaction to search for.
-     * @returns {Transaction|null} The transaction if found, or null if not found.
+     * @returns {Block|null} The block that includes the transaction, or null if not found.
      */
-    searchTransaction(hash) {
+    findBlockOfTransaction(hash) {
+        // The Bloom Filter works on bytes, not on hex strings
+        const hashBuffer = Buffer.from(hash, 'hex');
+
         for (const block of this.chain) {
             // Check if the transaction might exist in the block using the Bloom Filter
-            if (block.bloomFilter.test(hash)) {
+            if (block.bloomFilter.contains(hashBuffer)) {
                 for (const tx of block.transactions) {
                     if (tx.calculateHash() === hash) {
-                        // Return the found transaction
-                        return tx;
+                        // Return the block of the found transaction
+                        return block;
                     }
                 }
             }
@@ -449,43 +1995,180 @@ class BlockChain {
         return null;
     }
 
+    /**
+     * Lists the mined transactions sent from or to an address, using the Bloom Filters
+     * of the blocks to skip the blocks that do not mention it.
+     * @param {string} address - The address.
+     * @returns {Array<{transaction: Transaction, blockHash: string, height: number}>} The transactions, the latest first.
+     */
+    getAddressHistory(address) {
+        // Block filters hold the utf-8 bytes of the addresses
+        const addressBuffer = Buffer.from(address, 'utf-8');
+        const history = [];
+
+        for (let height = this.chain.length - 1; height >= 0; height--) {
+            const block = this.chain[height];
+            if (!block.bloomFilter.contains(addressBuffer)) continue;
+
+            for (const transaction of [...block.transactions].reverse()) {
+                if (transaction.fromAddress === address || transaction.toAddress === address) {
+                    history.push({ transaction: transaction, blockHash: block.hash, height: height });
+                }
+            }
+        }
+
+        return history;
+    }
+
     /**
      * Retrieves all pending transactions from the mempool.
      * @returns {Array<Object>} The list of pending transactions.
      */
     getPendingTransactions() {
-        // Load the mempool and return the transactions
-        const mempool = this.loadMempool();
-        return mempool.transactions;
+        return this.mempool.getTransactions();
     }
 }
 
+// The names of the files of the blockchain in its store
+BlockChain.GENESIS_KEY = 'genesis.json';
+BlockChain.CHAIN_KEY = 'chain.json';
+BlockChain.SIGNATURES_KEY = 'signatures.json';
+// The number of blocks whose median timestamp a new block must be later than
+BlockChain.MEDIAN_TIME_BLOCKS = 11;
+// How far ahead of the local clock the timestamp of a block may be, in milliseconds
+BlockChain.MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000;
+
 /**
  * Represents a full wallet (full node) in the blockchain.
  * A full wallet maintains the entire blockchain and processes transactions.
+ * A 'balanceChanged' event `{address, balance, previousBalance}` is emitted when a block or
+ * a mempool change moves the balance of a watched address (the wallet's own address and
+ * those added with `watchAddress`). Balances include the pending transactions, as `getBalanceOf`.
  */
-class FullWallet {
+class FullWallet extends EventEmitter {
     /**
      * Creates a new FullWallet.
      * @param {string} privateKey - The private key of the wallet.
      * @param {BlockChain} blockchain - The blockchain instance associated with the wallet.
      */
     constructor(privateKey, blockchain) {
+        super();
         this.key = ec.keyFromPrivate(privateKey); // Generate key pair from the private key
-        this.address = this.key.getPublic('hex'); // Public key (wallet address)
+        this.address = publicKeyToAddress(this.key.getPublic('hex')); // Wallet address (hash of the public key)
         this.blockchain = blockchain; // The blockchain instance
+        this.subscriptions = new Map(); // The Bloom Filters of the subscribed light wallets, by subscription id
+        this.nextSubscriptionId = 1;
+        this.onBlock = block => this.notifySubscribers(block); // Listener of the new blocks, while there are subscriptions
+        this.watchedAddresses = new Set([this.address]); // Addresses whose balance changes are announced
+        this.balances = new Map(); // The last known balance of each watched address, while balances are followed
+        this.onChainChange = () => this.checkBalances(); // Listener of the chain and mempool, while balanceChanged has listeners
+
+        // Only follow the chain while someone listens to the balance changes
+        this.on('newListener', event => {
+            if (event === 'balanceChanged' && this.listenerCount('balanceChanged') === 0) {
+                this.followBalances();
+            }
+        });
+        this.on('removeListener', event => {
+            if (event === 'balanceChanged' && this.listenerCount('balanceChanged') === 0) {
+                this.unfollowBalances();
+            }
+        });
     }
 
     /**
      * Creates and submits a transaction to the blockchain.
      * @param {string} toAddress - The recipient's address.
      * @param {number} amount - The amount to transfer.
+     * @param {number} [maxPriorityFee] - The tip for the miner, the blockchain's default priority fee if omitted.
+     * @param {number} [maxFeePerGas] - The max fee, twice the next base fee plus the tip if omitted.
+     * @returns {Transaction} The submitted transaction.
      */
-    makeTransaction(toAddress, amount) {
-        // Create a new transaction
-        const transaction = new Transaction(this.address, toAddress, amount); 
+    makeTransaction(toAddress, amount, maxPriorityFee = this.blockchain.defaultPriorityFee, maxFeePerGas = 2 * this.blockchain.getNextBaseFee() + maxPriorityFee) {
+        // Create a new transaction with the next nonce of the wallet and the chain ID
+        const nonce = this.blockchain.getNonce(this.address);
+        const transaction = new Transaction(this.address, toAddress, amount, maxFeePerGas, maxPriorityFee, nonce, this.blockchain.chainId); 
         // Add the transaction to the blockchain
         this.blockchain.addTransaction(transaction, this.key); 
+        return transaction;
+    }
+
+    /**
+     * Signs a transaction with the wallet's private key.
+     * @param {Transaction} transaction - The transaction to sign.
+     * @returns {{publicKey: string, signature: string}} The witness: the public key and the signature of the transaction hash.
+     */
+    signTransaction(transaction) {
+        return transaction.sign(this.key);
+    }
+
+    /**
+     * Creates a transaction from a multisig address this wallet is part of, signed by this wallet.
+     * The other key holders add their signatures with `signMultisigTransaction`, then it is submitted with `submitSignedTransaction`.
+     * @param {{m: number, publicKeys: string[]}} redeemScript - The redeem script of the multisig address.
+     * @param {string} toAddress - The recipient's address.
+     * @param {number} amount - The amount to transfer.
+     * @param {number} [maxPriorityFee] - The tip for the miner, the blockchain's default priority fee if omitted.
+     * @param {number} [maxFeePerGas] - The max fee, twice the next base fee plus the tip if omitted.
+     * @returns {{transaction: Transaction, witness: Object}} The transaction and its witness, with this wallet's signature.
+     */
+    createMultisigTransaction(redeemScript, toAddress, amount, maxPriorityFee = this.blockchain.defaultPriorityFee, maxFeePerGas = 2 * this.blockchain.getNextBaseFee() + maxPriorityFee) {
+        const multisigAddress = redeemScriptToAddress(redeemScript);
+        // The multisig address has its own nonce
+        const nonce = this.blockchain.getNonce(multisigAddress);
+        const transaction = new Transaction(multisigAddress, toAddress, amount, maxFeePerGas, maxPriorityFee, nonce, this.blockchain.chainId);
+        const witness = this.signMultisigTransaction(transaction, Transaction.createMultisigWitness(redeemScript));
+        return { transaction: transaction, witness: witness };
+    }
+
+    /**
+     * Adds the wallet's signature to a multisig transaction.
+     * @param {Transaction} transaction - The transaction from the multisig address.
+     * @param {Object} witness - The witness so far.
+     * @returns {Object} The witness with the wallet's signature.
+     */
+    signMultisigTransaction(transaction, witness) {
+        return transaction.signMultisig(this.key, witness);
+    }
+
+    /**
+     * Creates a transaction from a script address, signed by this wallet.
+     * Other keys of the script add their signatures with `signScriptTransaction`, then it is submitted with `submitSignedTransaction`.
+     * @param {Object} script - The locking script of the address.
+     * @param {string} toAddress - The recipient's address.
+     * @param {number} amount - The amount to transfer.
+     * @param {string|null} [preimage=null] - The preimage (hex) that opens the hash conditions of the script, if any.
+     * @param {number} [maxPriorityFee] - The tip for the miner, the blockchain's default priority fee if omitted.
+     * @param {number} [maxFeePerGas] - The max fee, twice the next base fee plus the tip if omitted.
+     * @returns {{transaction: Transaction, witness: Object}} The transaction and its witness, with this wallet's signature.
+     */
+    createScriptTransaction(script, toAddress, amount, preimage = null, maxPriorityFee = this.blockchain.defaultPriorityFee, maxFeePerGas = 2 * this.blockchain.getNextBaseFee() + maxPriorityFee) {
+        const scriptAddress = scriptToAddress(script);
+        // The script address has its own nonce
+        const nonce = this.blockchain.getNonce(scriptAddress);
+        const transaction = new Transaction(scriptAddress, toAddress, amount, maxFeePerGas, maxPriorityFee, nonce, this.blockchain.chainId);
+        const witness = this.signScriptTransaction(transaction, Transaction.createScriptWitness(script, preimage));
+        return { transaction: transaction, witness: witness };
+    }
+
+    /**
+     * Adds the wallet's signature to a transaction from a script address.
+     * @param {Transaction} transaction - The transaction from the script address.
+     * @param {Object} witness - The witness so far.
+     * @returns {Object} The witness with the wallet's signature.
+     */
+    signScriptTransaction(transaction, witness) {
+        return transaction.signScript(this.key, witness);
+    }
+
+    /**
+     * Submits a transaction signed outside of this wallet, such as a multisig or script transaction.
+     * @param {Transaction} transaction - The transaction.
+     * @param {Object} witness - The witness with the signatures.
+     * @throws {Error} If the threshold of signatures or the spending conditions are not met, or the transaction is invalid.
+     */
+    submitSignedTransaction(transaction, witness) {
+        this.blockchain.addSignedTransaction(transaction, witness);
     }
 
     /**
@@ -497,6 +2180,61 @@ class FullWallet {
         return this.blockchain.getBalanceOfAddress(address); // Get the balance from the blockchain
     }
 
+    /**
+     * Starts announcing the balance changes of an address.
+     * @param {string} address - The address to watch.
+     * @throws {Error} If the address is invalid.
+     */
+    watchAddress(address) {
+        if (!isValidAddress(address)) {
+            throw new Error("Invalid address " + address);
+        }
+        if (this.watchedAddresses.has(address)) return;
+
+        this.watchedAddresses.add(address);
+        if (this.listenerCount('balanceChanged') > 0) {
+            this.balances.set(address, this.getBalanceOf(address));
+        }
+    }
+
+    /**
+     * Stops announcing the balance changes of an address.
+     * @param {string} address - The address to stop watching.
+     * @returns {boolean} True if the address was watched, false otherwise.
+     */
+    unwatchAddress(address) {
+        this.balances.delete(address);
+        return this.watchedAddresses.delete(address);
+    }
+
+    // Helper to record the current balances and listen to the chain and the mempool
+    followBalances() {
+        for (const address of this.watchedAddresses) {
+            this.balances.set(address, this.getBalanceOf(address));
+        }
+        this.blockchain.on('blockAdded', this.onChainChange);
+        this.blockchain.on('mempoolChanged', this.onChainChange);
+    }
+
+    // Helper to stop listening to the chain and the mempool
+    unfollowBalances() {
+        this.blockchain.off('blockAdded', this.onChainChange);
+        this.blockchain.off('mempoolChanged', this.onChainChange);
+        this.balances.clear();
+    }
+
+    // Helper to emit a balanceChanged event for every watched address whose balance moved
+    checkBalances() {
+        for (const address of this.watchedAddresses) {
+            const previousBalance = this.balances.get(address);
+            const balance = this.getBalanceOf(address);
+            if (balance !== previousBalance) {
+                this.balances.set(address, balance);
+                this.emit('balanceChanged', { address: address, balance: balance, previousBalance: previousBalance });
+            }
+        }
+    }
+
     /**
      * Processes a transaction received from a light wallet.
      * @param {Transaction} transaction - The transaction to process.
@@ -505,26 +2243,38 @@ class FullWallet {
     receiveTransactionFromLightWallet(transaction, senderKey) {
         // Get the sender's balance
         const balance = this.blockchain.getBalanceOfAddress(transaction.fromAddress); 
-        // Calculate the total cost (amount + fees)
-        const totalCost = transaction.amount + 2 + 3; 
+        // Calculate the total cost (amount + max fee)
+        const totalCost = transaction.amount + transaction.maxFeePerGas; 
 
         if (balance < totalCost) {
-            console.log(`Insufficient funds: Has ${balance}, needs ${totalCost}`);
+            const reason = `Insufficient funds: Has ${balance}, needs ${totalCost}`;
+            this.blockchain.logger.warn(reason);
             // Reject the transaction if the sender has insufficient funds
+            this.blockchain.emit('txRejected', { transaction: transaction, reason: reason });
             return; 
         }
 
         // Add the transaction to the blockchain
         this.blockchain.addTransaction(transaction, senderKey); 
-        console.log("Transaction from light wallet accepted.");
+        this.blockchain.logger.info("Transaction from light wallet accepted.");
     }
 
     /**
      * Mines all pending transactions in the blockchain.
+     * @returns {Block} The newly mined block.
      */
     minePendingTransactions() {
         // Mine pending transactions and reward the wallet
-        this.blockchain.minePendingTransactions(this.address); 
+        return this.blockchain.minePendingTransactions(this.address); 
+    }
+
+    /**
+     * Mines all pending transactions in the worker threads of a miner, starting over when the block goes stale.
+     * @param {Miner} miner - The miner (see miner.js).
+     * @returns {Promise<Block|null>} The newly mined block, or null if the miner was aborted.
+     */
+    minePendingTransactionsAsync(miner) {
+        return this.blockchain.minePendingTransactionsAsync(this.address, miner);
     }
 
     /**
@@ -534,21 +2284,217 @@ class FullWallet {
     getBalance() {
         return this.blockchain.getBalanceOfAddress(this.address); 
     }
+
+    /**
+     * Retrieves the headers of the blocks in the blockchain.
+     * @param {number} [fromHeight=0] - The height of the first header to return.
+     * @returns {Array<Object>} The block headers, in chain order.
+     */
+    getBlockHeaders(fromHeight = 0) {
+        return this.blockchain.chain.slice(fromHeight).map(block => block.getHeader());
+    }
+
+    /**
+     * Builds an inclusion proof of a transaction for a light wallet (SPV).
+     * @param {string} txHash - The hash of the transaction.
+     * @returns {{txHash: string, header: Object, proof: Array<Object>}|null} The header of the block that includes the transaction and the Merkle proof, or null if the transaction is not in the blockchain.
+     */
+    getTransactionProof(txHash) {
+        const block = this.blockchain.findBlockOfTransaction(txHash);
+        if (block === null) {
+            return null;
+        }
+
+        return {
+            txHash: txHash,
+            header: block.getHeader(),
+            proof: block.getMerkleProof(txHash)
+        };
+    }
+
+    /**
+     * Builds a proof of the balance and nonce of an account for a light wallet,
+     * against the state root of the latest block.
+     * @param {string} address - The address of the account.
+     * @returns {{header: Object, account: Object}|null} The header of the latest block and the account with its Merkle proof, or null if the account was never used.
+     */
+    getAccountProof(address) {
+        const account = this.blockchain.state.getProof(address);
+        if (account === null) {
+            return null;
+        }
+
+        return {
+            header: this.blockchain.getLatestBlock().getHeader(),
+            account: account
+        };
+    }
+
+    /**
+     * Registers the Bloom Filter of a light wallet (BIP37 filterload).
+     * From then on, every transaction of a new block that matches the filter is pushed
+     * to the light wallet with its Merkle proof.
+     * @param {Object} filter - The filter, as returned by `toObject()` of a BloomFilter: `{vData, nHashFuncs, nTweak, nFlags}`.
+     * @param {function(Object): void} onMatch - Called with `{txHash, transaction, header, proof}` for every matching transaction.
+     * @returns {number} The id of the subscription, to change or remove the filter.
+     * @throws {Error} If the filter is invalid.
+     */
+    subscribe(filter, onMatch) {
+        if (typeof onMatch !== 'function') {
+            throw new Error("A subscription needs a callback for the matching transactions");
+        }
+
+        const bloomFilter = FullWallet.loadFilter(filter);
+        // Only listen to the chain while someone is subscribed
+        if (this.subscriptions.size === 0) {
+            this.blockchain.on('blockAdded', this.onBlock);
+        }
+
+        const id = this.nextSubscriptionId++;
+        this.subscriptions.set(id, { filter: bloomFilter, onMatch: onMatch });
+        return id;
+    }
+
+    /**
+     * Replaces the Bloom Filter of a subscription (BIP37 filterload on an open connection).
+     * @param {number} id - The id of the subscription.
+     * @param {Object} filter - The new filter, as returned by `toObject()` of a BloomFilter.
+     * @throws {Error} If the subscription is unknown or the filter is invalid.
+     */
+    setFilter(id, filter) {
+        this.getSubscription(id).filter = FullWallet.loadFilter(filter);
+    }
+
+    /**
+     * Adds an element to the Bloom Filter of a subscription (BIP37 filteradd).
+     * @param {number} id - The id of the subscription.
+     * @param {string} data - The element, hex encoded: a transaction hash, or the utf-8 bytes of an address.
+     * @throws {Error} If the subscription is unknown or the data is not hex.
+     */
+    addToFilter(id, data) {
+        const subscription = this.getSubscription(id);
+        if (typeof data !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(data)) {
+            throw new Error("Filter data must be a non-empty hex string");
+        }
+        subscription.filter.insert(Buffer.from(data, 'hex'));
+    }
+
+    /**
+     * Removes a subscription (BIP37 filterclear): no more transactions are pushed for it.
+     * @param {number} id - The id of the subscription.
+     * @returns {boolean} True if the subscription was removed, false if it was unknown.
+     */
+    unsubscribe(id) {
+        const removed = this.subscriptions.delete(id);
+        if (removed && this.subscriptions.size === 0) {
+            this.blockchain.off('blockAdded', this.onBlock);
+        }
+        return removed;
+    }
+
+    // Helper to find a subscription by id
+    getSubscription(id) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) {
+            throw new Error("Unknown subscription " + id);
+        }
+        return subscription;
+    }
+
+    // Helper to check a filter received from a light wallet and turn it into a BloomFilter
+    static loadFilter(filter) {
+        if (!filter || !Array.isArray(filter.vData) || filter.vData.length === 0
+            || !filter.vData.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+            throw new Error("Invalid Bloom Filter: vData must be a non-empty array of bytes");
+        }
+        if (!Number.isInteger(filter.nHashFuncs) || filter.nHashFuncs < 1) {
+            throw new Error("Invalid Bloom Filter: nHashFuncs must be a positive integer");
+        }
+
+        try {
+            // Copy the bits, so the light wallet's own filter is not changed by filteradd
+            return new BloomFilter({ vData: [...filter.vData], nHashFuncs: filter.nHashFuncs, nTweak: filter.nTweak, nFlags: filter.nFlags });
+        } catch (error) {
+            throw new Error("Invalid Bloom Filter: " + error.message);
+        }
+    }
+
+    // Helper to push the transactions of a new block to the light wallets whose filter they match
+    notifySubscribers(block) {
+        const header = block.getHeader();
+
+        for (const [id, { filter, onMatch }] of this.subscriptions) {
+            // The block's own Bloom Filter skips most blocks without looking at their transactions
+            for (const transaction of block.getMatchingTransactions(filter)) {
+                const txHash = transaction.calculateHash();
+                try {
+                    onMatch({ txHash: txHash, transaction: transaction, header: header, proof: block.getMerkleProof(txHash) });
+                } catch (error) {
+                    // A failing light wallet must not stop the chain from processing the block
+                    this.blockchain.logger.warn(`Could not push transaction ${txHash} to subscription ${id}: ${error.message}`);
+                }
+            }
+        }
+    }
 }
 
 /**
  * Represents a light wallet in the blockchain.
  * A light wallet only stores relevant transactions and interacts with a full wallet for blockchain operations.
+ * A 'balanceChanged' event `{address, balance, previousBalance}` is emitted when a transaction pushed
+ * by the full wallet moves the confirmed balance of a watched address. The balance is checked with an
+ * account proof, `previousBalance` is null the first time an address is checked.
  */
-class LightWallet {
+class LightWallet extends EventEmitter {
     /**
      * Creates a new LightWallet.
      * @param {string} privateKey - The private key of the wallet.
+     * @param {Object} [store] - The store the headers and transactions are saved to (see storage.js), kept in memory only if omitted.
+     * @param {Object} [genesis] - The parameters of the network (see BlockChain.checkGenesis), the genesis.json next to the source if omitted.
+     * The header chain must start with the genesis block of these parameters and follow their difficulty retarget rule.
      */
-    constructor(privateKey) {
+    constructor(privateKey, store = null, genesis = null) {
+        super();
+        this.genesis = genesis !== null ? BlockChain.checkGenesis(genesis) : BlockChain.loadGenesis(path.join(__dirname, BlockChain.GENESIS_KEY));
+        this.genesisHash = BlockChain.createGenesisBlock(this.genesis).hash;
         this.key = ec.keyFromPrivate(privateKey); // Generate key pair from the private key
-        this.address = this.key.getPublic('hex'); // Public key (wallet address)
+        this.address = publicKeyToAddress(this.key.getPublic('hex')); // Wallet address (hash of the public key)
         this.transactions = []; // Stores only relevant transactions
+        this.headers = []; // Stores the chain of block headers (no transactions)
+        this.watchedAddresses = [this.address]; // Addresses whose transactions are pushed by the full wallet
+        this.watchedTransactions = []; // Hashes of other transactions to be pushed once mined
+        this.subscription = null; // The full wallet and subscription id the Bloom Filter is registered with
+        this.balances = new Map(); // The last verified balance of each watched address
+        this.store = store;
+        this.load();
+    }
+
+    // Helper to get the name of the wallet's file in the store
+    getStoreKey() {
+        return 'light-wallet-' + this.address + '.json';
+    }
+
+    // Helper to restore the saved headers, transactions and watch lists, if the wallet has a store
+    load() {
+        const data = this.store === null ? null : this.store.read(this.getStoreKey());
+        if (data === null) return;
+
+        this.transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+        this.headers = data.headers;
+        this.watchedAddresses = data.watchedAddresses;
+        this.watchedTransactions = data.watchedTransactions;
+    }
+
+    // Helper to save the headers, transactions and watch lists, if the wallet has a store
+    save() {
+        if (this.store === null) return;
+
+        this.store.write(this.getStoreKey(), {
+            transactions: this.transactions,
+            headers: this.headers,
+            watchedAddresses: this.watchedAddresses,
+            watchedTransactions: this.watchedTransactions
+        });
     }
 
     /**
@@ -556,14 +2502,37 @@ class LightWallet {
      * @param {string} toAddress - The recipient's address.
      * @param {number} amount - The amount to transfer.
      * @param {FullWallet} fullWallet - The full wallet to process the transaction.
+     * @param {number} [maxPriorityFee] - The tip for the miner, the blockchain's default priority fee if omitted.
+     * @param {number} [maxFeePerGas] - The max fee, twice the next base fee plus the tip if omitted.
      */
-    sendTransactionViaFullWallet(toAddress, amount, fullWallet) {
-        // Create a new transaction
-        const transaction = new Transaction(this.address, toAddress, amount); 
+    sendTransactionViaFullWallet(toAddress, amount, fullWallet, maxPriorityFee = fullWallet.blockchain.defaultPriorityFee, maxFeePerGas = 2 * fullWallet.blockchain.getNextBaseFee() + maxPriorityFee) {
+        // Create a new transaction with the next nonce of the wallet and the chain ID
+        const nonce = fullWallet.blockchain.getNonce(this.address);
+        const transaction = new Transaction(this.address, toAddress, amount, maxFeePerGas, maxPriorityFee, nonce, fullWallet.blockchain.chainId); 
         // Send the transaction to the full wallet
         fullWallet.receiveTransactionFromLightWallet(transaction, this.key); 
     }
 
+    /**
+     * Adds the wallet's signature to a multisig transaction, without needing the blockchain.
+     * @param {Transaction} transaction - The transaction from the multisig address.
+     * @param {Object} witness - The witness so far.
+     * @returns {Object} The witness with the wallet's signature.
+     */
+    signMultisigTransaction(transaction, witness) {
+        return transaction.signMultisig(this.key, witness);
+    }
+
+    /**
+     * Adds the wallet's signature to a transaction from a script address, without needing the blockchain.
+     * @param {Transaction} transaction - The transaction from the script address.
+     * @param {Object} witness - The witness so far.
+     * @returns {Object} The witness with the wallet's signature.
+     */
+    signScriptTransaction(transaction, witness) {
+        return transaction.signScript(this.key, witness);
+    }
+
     /**
      * Synchronizes a transaction with the light wallet.
      * @param {Transaction} transaction - The transaction to sync.
@@ -571,6 +2540,7 @@ class LightWallet {
     syncTransaction(transaction) {
         // Add the transaction to the wallet's transaction list
         this.transactions.push(transaction); 
+        this.save();
     }
 
     /**
@@ -590,20 +2560,312 @@ class LightWallet {
     }
 
     /**
-     * Validates all transactions in the light wallet against the full wallet's blockchain.
+     * Downloads the new block headers from a full wallet and adds them to the header chain.
+     * When the full wallet has switched to a branch with more work (reorg), the header chain is rolled
+     * back to the last common header and follows the new branch, and the transactions of the detached
+     * blocks that the new branch does not include are dropped.
+     * @param {FullWallet} fullWallet - The full wallet to download the headers from.
+     * @throws {Error} If a header does not link to the previous header, is not the genesis block of the network,
+     * or its hash, difficulty or proof of work is wrong, or if the new branch does not have more work.
+     */
+    syncHeaders(fullWallet) {
+        // Ask for our last header again, to notice when the full wallet is on another branch
+        const tipHeight = this.headers.length - 1;
+        let newHeaders = fullWallet.getBlockHeaders(Math.max(tipHeight, 0));
+        let detachedHeaders = [];
+
+        if (tipHeight >= 0) {
+            if (newHeaders.length > 0 && newHeaders[0].hash === this.headers[tipHeight].hash) {
+                newHeaders = newHeaders.slice(1);
+            } else {
+                // Our last header left the chain of the full wallet: roll back to the last common header
+                const remoteHeaders = fullWallet.getBlockHeaders(0);
+                const forkHeight = this.findForkHeight(remoteHeaders);
+                detachedHeaders = this.headers.slice(forkHeight + 1);
+                newHeaders = remoteHeaders.slice(forkHeight + 1);
+
+                // Like a full wallet, only switch to a branch with more work
+                const work = headers => headers.reduce((total, header) => total + header.difficulty, 0);
+                if (work(newHeaders) <= work(detachedHeaders)) {
+                    throw new Error("The branch of the full wallet does not have more work than the header chain");
+                }
+            }
+        }
+
+        // Keep the header chain as it was if a header of the full wallet is wrong
+        const previousHeaders = this.headers;
+        this.headers = this.headers.slice(0, this.headers.length - detachedHeaders.length);
+        try {
+            for (const header of newHeaders) {
+                this.checkHeader(header);
+                this.headers.push(header);
+            }
+        } catch (error) {
+            this.headers = previousHeaders;
+            throw error;
+        }
+
+        if (detachedHeaders.length > 0) {
+            // Drop the transactions that are no longer proven by the header chain, they may be mined again later
+            this.transactions = this.transactions.filter(tx => this.verifyTransaction(tx.calculateHash(), fullWallet));
+        }
+        if (newHeaders.length > 0 || detachedHeaders.length > 0) {
+            this.save();
+        }
+        if (detachedHeaders.length > 0) {
+            this.checkBalances(fullWallet, this.watchedAddresses);
+        }
+    }
+
+    // Helper to find the height of the last header shared with the header chain of a full wallet
+    findForkHeight(remoteHeaders) {
+        let height = Math.min(this.headers.length, remoteHeaders.length) - 1;
+        while (height >= 0 && this.headers[height].hash !== remoteHeaders[height].hash) {
+            height--;
+        }
+        if (height < 0) {
+            throw new Error("The header chain of the full wallet does not start with the genesis block " + this.genesisHash);
+        }
+        return height;
+    }
+
+    // Helper to check a header on top of the header chain, as the full wallet checks the header of a block
+    checkHeader(header) {
+        const height = this.headers.length;
+
+        // The header alone is enough to check the hash
+        if (Block.hashHeader(header) !== header.hash) {
+            throw new Error("Block header " + header.hash + " does not match its hash");
+        }
+
+        // The chain must start with the genesis block of our network, not one a full wallet made up
+        if (height === 0) {
+            if (header.hash !== this.genesisHash) {
+                throw new Error("Block header " + header.hash + " is not the genesis block of the network " + this.genesisHash);
+            }
+            return;
+        }
+
+        // Each header must point to the last header we already trust
+        if (header.previousHash !== this.headers[height - 1].hash) {
+            throw new Error("Block header " + header.hash + " does not link to the header chain");
+        }
+
+        // The timestamps drive the difficulty retarget, the same rule as for full blocks applies
+        const timestampFailure = BlockChain.getTimestampFailure(this.headers, height, header.timestamp);
+        if (timestampFailure !== null) {
+            throw new Error("Block header " + header.hash + " is invalid: " + timestampFailure);
+        }
+
+        // The difficulty follows the retarget rule, so a full wallet cannot serve a chain of easy headers
+        const expectedDifficulty = BlockChain.retargetDifficulty(this.genesis, this.headers, height);
+        if (header.difficulty !== expectedDifficulty) {
+            throw new Error(`Block header ${header.hash} has difficulty ${header.difficulty}, expected ${expectedDifficulty}`);
+        }
+        if (!Block.meetsDifficulty(header.hash, header.difficulty)) {
+            throw new Error("Block header " + header.hash + " does not meet its difficulty");
+        }
+    }
+
+    /**
+     * Verifies that a transaction is included in the blockchain, without downloading blocks (SPV).
+     * The Merkle proof from the full wallet is checked against the Merkle root of
+     * the header in the light wallet's own header chain.
+     * @param {string} txHash - The hash of the transaction.
+     * @param {FullWallet} fullWallet - The full wallet that provides the proof.
+     * @returns {boolean} True if the transaction is confirmed, false otherwise.
+     */
+    verifyTransaction(txHash, fullWallet) {
+        const inclusionProof = fullWallet.getTransactionProof(txHash);
+        if (inclusionProof === null || inclusionProof.proof === null) {
+            return false;
+        }
+
+        // Only trust headers of our own header chain, not the header sent with the proof
+        let header = this.headers.find(h => h.hash === inclusionProof.header.hash);
+        if (!header) {
+            this.syncHeaders(fullWallet);
+            header = this.headers.find(h => h.hash === inclusionProof.header.hash);
+        }
+        if (!header) {
+            return false;
+        }
+
+        return Block.verifyMerkleProof(inclusionProof.proof, txHash, header.merkleRoot);
+    }
+
+    /**
+     * Verifies the confirmed balance and nonce of an account, without downloading blocks.
+     * The account proof from the full wallet is checked against the state root of
+     * the header in the light wallet's own header chain.
+     * @param {FullWallet} fullWallet - The full wallet that provides the proof.
+     * @param {string} [address=this.address] - The address of the account.
+     * @returns {{balance: number, nonce: number}|null} The verified account, or null if it cannot be proven.
+     */
+    verifyAccount(fullWallet, address = this.address) {
+        const accountProof = fullWallet.getAccountProof(address);
+        if (accountProof === null || accountProof.account.address !== address) {
+            return null;
+        }
+
+        // Only trust headers of our own header chain, not the header sent with the proof
+        let header = this.headers.find(h => h.hash === accountProof.header.hash);
+        if (!header) {
+            this.syncHeaders(fullWallet);
+            header = this.headers.find(h => h.hash === accountProof.header.hash);
+        }
+        if (!header || !AccountState.verifyProof(accountProof.account, header.stateRoot)) {
+            return null;
+        }
+
+        return { balance: accountProof.account.balance, nonce: accountProof.account.nonce };
+    }
+
+    /**
+     * Builds the Bloom Filter of the wallet: its watched addresses, and the hashes of its
+     * transactions and watched transactions.
+     * The filter has the parameters of the block filters, so the full wallet can pre-screen blocks with it.
+     * @returns {BloomFilter} The filter.
+     */
+    createBloomFilter() {
+        const filter = Block.createEmptyBloomFilter();
+        for (const address of this.watchedAddresses) {
+            filter.insert(Buffer.from(address, 'utf-8'));
+        }
+        for (const txHash of [...this.transactions.map(tx => tx.calculateHash()), ...this.watchedTransactions]) {
+            filter.insert(Buffer.from(txHash, 'hex'));
+        }
+        return filter;
+    }
+
+    /**
+     * Registers the wallet's Bloom Filter with a full wallet, which then pushes the matching
+     * transactions of every new block. Each pushed transaction is checked against the header chain
+     * with its Merkle proof before it is synced.
+     * @param {FullWallet} fullWallet - The full wallet to subscribe to.
+     * @returns {number} The id of the subscription.
+     */
+    subscribe(fullWallet) {
+        this.unsubscribe();
+        // Get the headers first, so the proofs of the next blocks can be checked
+        this.syncHeaders(fullWallet);
+
+        const id = fullWallet.subscribe(this.createBloomFilter().toObject(), match => this.receiveMatchedTransaction(match));
+        this.subscription = { fullWallet: fullWallet, id: id };
+        return id;
+    }
+
+    /**
+     * Stops the full wallet from pushing transactions.
+     */
+    unsubscribe() {
+        if (this.subscription !== null) {
+            this.subscription.fullWallet.unsubscribe(this.subscription.id);
+            this.subscription = null;
+        }
+    }
+
+    /**
+     * Starts following the transactions of another address, without sending a new filter.
+     * @param {string} address - The address to watch.
+     * @throws {Error} If the address is invalid.
+     */
+    watchAddress(address) {
+        if (!isValidAddress(address)) {
+            throw new Error("Invalid address " + address);
+        }
+        if (this.watchedAddresses.includes(address)) return;
+
+        this.watchedAddresses.push(address);
+        this.save();
+        this.addToFilter(Buffer.from(address, 'utf-8'));
+    }
+
+    /**
+     * Asks to be sent a transaction once it is mined, for example one sent to the wallet by a payer.
+     * @param {string} txHash - The hash of the transaction.
+     * @throws {Error} If the hash is not a transaction hash.
+     */
+    watchTransaction(txHash) {
+        if (typeof txHash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(txHash)) {
+            throw new Error("Invalid transaction hash " + txHash);
+        }
+        if (this.watchedTransactions.includes(txHash)) return;
+
+        this.watchedTransactions.push(txHash);
+        this.save();
+        this.addToFilter(Buffer.from(txHash, 'hex'));
+    }
+
+    // Helper to add an element to the filter registered with the full wallet, if any (filteradd)
+    addToFilter(element) {
+        if (this.subscription !== null) {
+            this.subscription.fullWallet.addToFilter(this.subscription.id, element.toString('hex'));
+        }
+    }
+
+    /**
+     * Handles a transaction pushed by the full wallet: checks its Merkle proof against
+     * the header chain, and syncs it if it is new.
+     * @param {{txHash: string, transaction: Object, header: Object, proof: Array<Object>}} match - The transaction, the header of its block and its Merkle proof.
+     * @returns {boolean} True if the transaction was synced, false if the wallet already had it.
+     * @throws {Error} If the transaction does not match its hash, or its proof does not match the header chain.
+     */
+    receiveMatchedTransaction(match) {
+        const transaction = Transaction.fromJSON(match.transaction);
+        if (transaction.calculateHash() !== match.txHash) {
+            throw new Error("Transaction " + match.txHash + " does not match its hash");
+        }
+
+        // Only trust headers of our own header chain, not the header sent with the proof
+        let header = this.headers.find(h => h.hash === match.header.hash);
+        if (!header && this.subscription !== null) {
+            this.syncHeaders(this.subscription.fullWallet);
+            header = this.headers.find(h => h.hash === match.header.hash);
+        }
+        if (!header || !Block.verifyMerkleProof(match.proof, match.txHash, header.merkleRoot)) {
+            throw new Error("Transaction " + match.txHash + " is not proven by the header chain");
+        }
+
+        if (this.hasTransaction(transaction)) {
+            return false;
+        }
+        this.syncTransaction(transaction);
+        if (this.subscription !== null) {
+            this.checkBalances(this.subscription.fullWallet, [transaction.fromAddress, transaction.toAddress]);
+        }
+        return true;
+    }
+
+    // Helper to emit a balanceChanged event for every watched address of a list whose verified balance moved
+    checkBalances(fullWallet, addresses) {
+        for (const address of new Set(addresses)) {
+            if (!this.watchedAddresses.includes(address)) continue;
+
+            const account = this.verifyAccount(fullWallet, address);
+            if (account === null) continue;
+
+            const previousBalance = this.balances.has(address) ? this.balances.get(address) : null;
+            if (account.balance !== previousBalance) {
+                this.balances.set(address, account.balance);
+                this.emit('balanceChanged', { address: address, balance: account.balance, previousBalance: previousBalance });
+            }
+        }
+    }
+
+    /**
+     * Validates all transactions in the light wallet against the full wallet's blockchain,
+     * using Merkle proofs instead of full blocks.
      * @param {FullWallet} fullWallet - The full wallet to validate against.
      * @returns {boolean} True if all transactions are valid, false otherwise.
      */
     valideteWalletTransactions(fullWallet) {
-        // Load the mempool from the full wallet
-        const signaturePool = fullWallet.blockchain.loadMSignatures(); 
+        // Get the latest block headers from the full wallet
+        this.syncHeaders(fullWallet);
 
         for (const tx of this.transactions) {
-            // Find the transaction signature
-            const txSignature = signaturePool.signatures.find(sig => sig === tx.calculateHash()); 
-
-            // Check if the transaction is valid in the full wallet's blockchain
-            if (!tx.isValid(txSignature)) {
+            // Check the transaction is included in a block of the header chain
+            if (!this.verifyTransaction(tx.calculateHash(), fullWallet)) {
                 // Invalid transaction found
                 return false; 
             }
@@ -618,4 +2880,4 @@ module.exports.BlockChain = BlockChain;
 module.exports.Block = Block;
 module.exports.Transaction = Transaction;
 module.exports.FullWallet = FullWallet;
-module.exports.LightWallet = LightWallet;
\ No newline at end of file
+module.exports.LightWallet = LightWallet;
@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+// Importing required libraries
+const path = require('path');
+const EC = require('elliptic').ec;
+const { BlockChain, FullWallet, Transaction } = require('./blockchain.js');
+const { Mempool } = require('./mempool.js');
+const { Keystore } = require('./keystore.js');
+const { FileStore, getDefaultDataDir } = require('./storage.js');
+const { ConsoleLogger } = require('./logger.js');
+const { HDWallet } = require('./hdwallet.js');
+const { publicKeyToAddress, createRedeemScript, redeemScriptToAddress } = require('./address.js');
+const { normalizeScript, scriptToAddress, createHtlcScript } = require('./script.js');
+
+// Create a new elliptic curve instance using secp256k1
+const ec = new EC('secp256k1');
+
+// Options that are flags and don't take a value
+const FLAGS = ['json', 'help'];
+
+// The data directory of the command: --data-dir, the ALTCOIN_DATA_DIR environment variable or ~/.altcoin
+let dataDir = getDefaultDataDir();
+// The logger of the progress messages, stderr with --json so stdout only holds the result
+let logger = new ConsoleLogger();
+
+/**
+ * The commands of the CLI. Each command returns a plain result object, printed
+ * as JSON with --json or by its format function otherwise.
+ */
+const commands = {
+    init: {
+        usage: 'init --data-dir <dir> [--genesis <genesis file>]',
+        description: 'Create a data directory for a network, with a copy of its genesis file',
+        run: init,
+        format: result => [
+            `Initialized ${result.dataDir} with the genesis file ${result.genesisPath}`,
+            `Chain ID ${result.chainId}, genesis block ${result.genesisHash}`
+        ]
+    },
+    keygen: {
+        usage: 'keygen',
+        description: 'Generate a new key pair',
+        run: keygen,
+        format: result => [
+            'Address (free to share):',
+            '  ' + result.address,
+            'Private key (keep it secret):',
+            '  ' + result.privateKey
+        ]
+    },
+    'import-key': {
+        usage: 'import-key --key <private key> --password <password> [--name <name>]',
+        description: 'Encrypt a private key into the keystore',
+        run: (args, options) => getKeystore().importKey(requireOption(options, 'key'), getPassword(options), options.name),
+        format: result => [`Saved key ${result.name} (${result.address})`]
+    },
+    'new-mnemonic': {
+        usage: 'new-mnemonic --name <name> --password <password>',
+        description: 'Create an HD wallet and encrypt its mnemonic into the keystore',
+        run: newMnemonic,
+        format: result => [
+            `Saved HD wallet ${result.name}, first address:`,
+            '  ' + result.address,
+            'Mnemonic (write it down and keep it secret, it restores every address):',
+            '  ' + result.mnemonic
+        ]
+    },
+    'import-mnemonic': {
+        usage: 'import-mnemonic <word> <word> ... --name <name> --password <password>',
+        description: 'Encrypt the mnemonic of an existing HD wallet into the keystore',
+        run: importMnemonic,
+        format: result => [`Saved HD wallet ${result.name}, first address:`, '  ' + result.address]
+    },
+    accounts: {
+        usage: 'accounts',
+        description: 'List the keys and HD wallets of the keystore',
+        run: () => ({ accounts: getKeystore().list() }),
+        format: result => result.accounts.length === 0
+            ? ['The keystore is empty']
+            : result.accounts.map(account => `${account.name} (${account.type}): ${account.address}`)
+    },
+    addresses: {
+        usage: 'addresses --account <name> --password <password> [--count <n>]',
+        description: 'List the addresses of an HD wallet with their balances',
+        run: addresses,
+        format: result => [
+            ...result.addresses.map(entry => `${entry.index}: ${entry.address} balance ${entry.balance}`),
+            `Total balance: ${result.balance}`
+        ]
+    },
+    address: {
+        usage: 'address (--key <private key> | --account <name> --password <password> [--from <index>])',
+        description: 'Print the address and public key of a private key or keystore account',
+        run: (args, options) => {
+            const wallet = getWallet(options);
+            return { address: wallet.address, publicKey: wallet.key.getPublic(true, 'hex') };
+        },
+        format: result => [result.address, `Public key: ${result.publicKey}`]
+    },
+    'multisig-address': {
+        usage: 'multisig-address <m> <public key> <public key> ...',
+        description: 'Print the m-of-n multisig address of public keys and its redeem script',
+        run: multisigAddress,
+        format: result => [result.address, `Redeem script: ${JSON.stringify(result.redeemScript)}`]
+    },
+    'script-address': {
+        usage: 'script-address <script JSON>',
+        description: 'Print the address of a locking script (signature, hash, after, older, all, any conditions)',
+        run: args => {
+            requireArguments(args, 1, commands['script-address'].usage);
+            return scriptResult(normalizeScript(parseJSON(args[0], 'script')));
+        },
+        format: result => [result.address, `Script: ${JSON.stringify(result.script)}`]
+    },
+    'htlc-address': {
+        usage: 'htlc-address <hash> <recipient public key> <sender public key> <timeout height>',
+        description: 'Print the address of a hash time-locked contract: the recipient spends with the preimage, the sender after the timeout',
+        run: args => {
+            requireArguments(args, 4, commands['htlc-address'].usage);
+            return scriptResult(createHtlcScript(args[0], args[1], args[2], parseInteger(args[3], 'timeout height')));
+        },
+        format: result => [result.address, `Script: ${JSON.stringify(result.script)}`]
+    },
+    balance: {
+        usage: 'balance <address>',
+        description: 'Print the balance and next nonce of an address',
+        run: balance,
+        format: result => [
+            `Balance: ${result.balance}`,
+            `Next nonce: ${result.nonce}`
+        ]
+    },
+    send: {
+        usage: 'send <to> <amount> <wallet> [--fee <tip>] [--max-fee <max fee>]',
+        description: 'Send coins to an address (the transaction waits in the mempool until mined). HD wallets spend from --from or the best funded address',
+        run: send,
+        format: result => [
+            `Transaction ${result.hash} added to the mempool`,
+            `Amount ${result.transaction.amount}, max fee ${result.transaction.maxFeePerGas}, tip ${result.transaction.maxPriorityFee}, nonce ${result.transaction.nonce}`
+        ]
+    },
+    'bump-fee': {
+        usage: 'bump-fee <hash> <wallet> [--fee <tip>] [--max-fee <max fee>]',
+        description: 'Replace a pending transaction of the wallet with the same one paying a higher fee (10% more by default)',
+        run: bumpFee,
+        format: result => [
+            `Transaction ${result.hash} replaces ${result.replaced}`,
+            `Amount ${result.transaction.amount}, max fee ${result.transaction.maxFeePerGas}, tip ${result.transaction.maxPriorityFee}, nonce ${result.transaction.nonce}`
+        ]
+    },
+    mine: {
+        usage: 'mine <wallet> [--blocks <n>]',
+        description: 'Mine blocks with the pending transactions, rewarding the key\'s address',
+        run: mine,
+        format: result => result.blocks.map(block => `Block ${block.height}: ${block.hash} (${block.transactions} transactions)`)
+    },
+    mempool: {
+        usage: 'mempool',
+        description: 'List the pending transactions',
+        run: () => ({ transactions: getBlockChain().getPendingTransactions() }),
+        format: result => result.transactions.length === 0
+            ? ['The mempool is empty']
+            : result.transactions.flatMap(formatTransaction)
+    },
+    block: {
+        usage: 'block <height|hash>',
+        description: 'Print a block and its transactions',
+        run: block,
+        format: result => [
+            `Block ${result.height}: ${result.hash}`,
+            `Previous hash: ${result.previousHash}`,
+            `Merkle root: ${result.merkleRoot}`,
+            `Witness root: ${result.witnessRoot}`,
+            `Timestamp: ${result.timestamp}`,
+            `Difficulty: ${result.difficulty}, base fee: ${result.baseFee}, nonce: ${result.nonce}`,
+            `${result.transactions.length} transactions:`,
+            ...result.transactions.flatMap(tx => formatTransaction(tx).map(line => '  ' + line))
+        ]
+    },
+    tx: {
+        usage: 'tx <hash>',
+        description: 'Print a mined or pending transaction',
+        run: transaction,
+        format: result => [
+            ...formatTransaction(result.transaction),
+            result.pending ? 'Status: pending' : `Status: mined in block ${result.blockHeight} (${result.blockHash})`
+        ]
+    },
+    validate: {
+        usage: 'validate',
+        description: 'Validate every block of the chain',
+        run: () => getBlockChain().validateChain(),
+        format: result => [
+            `Chain valid: ${result.valid}`,
+            ...result.errors.map(error => `Block ${error.index} (${error.hash}): ${error.reason}`)
+        ]
+    },
+    stats: {
+        usage: 'stats [height]',
+        description: 'Print the mined, burned, circulating and remaining coins at a height and per-block stats',
+        run: stats,
+        format: result => [
+            `Height: ${result.height}`,
+            `Next difficulty: ${result.nextDifficulty}, next base fee: ${result.nextBaseFee}`,
+            `Pending transactions: ${result.pendingTransactions}`,
+            `Supply at height ${result.supply.height} (max supply ${result.supply.maxSupply}):`,
+            `  Circulating coins: ${result.supply.circulatingCoins}`,
+            `  Coins allocated in the genesis block: ${result.supply.allocatedCoins}`,
+            `  Coins mined: ${result.supply.minedCoins}`,
+            `  Coins burned: ${result.supply.burnedCoins}`,
+            `  Coins left to mine: ${result.supply.remainingCoins}`,
+            `  Next block reward: ${result.supply.nextBlockReward}`,
+            '',
+            ...result.blocks.map(block => `Block ${block.height}: difficulty ${block.difficulty}, base fee ${block.baseFee}, ${block.transactions} transactions, reward ${block.reward}, burned ${block.burned}, tips ${block.tips}`)
+        ]
+    }
+};
+
+// Helper to split the command line into positional arguments and --options
+function parseArguments(argv) {
+    const args = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.push(argv[i]);
+            continue;
+        }
+
+        const name = argv[i].slice(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    return { args, options };
+}
+
+// Helper to load the blockchain of the data directory
+function getBlockChain() {
+    return new BlockChain(new FileStore(dataDir), null, logger);
+}
+
+// Helper to open the keystore of the data directory
+function getKeystore() {
+    return new Keystore(path.join(dataDir, 'keystore'));
+}
+
+// Helper to read the password of --password (or the ALTCOIN_PASSWORD environment variable)
+function getPassword(options) {
+    const password = options.password || process.env.ALTCOIN_PASSWORD;
+    if (!password) {
+        throw new Error('A password is required: use --password <password> or set ALTCOIN_PASSWORD');
+    }
+    return password;
+}
+
+// Helper to read an option every call of a command needs
+function requireOption(options, name) {
+    if (options[name] === undefined) {
+        throw new Error(`Missing option --${name}`);
+    }
+    return options[name];
+}
+
+// Helper to load the secret of the wallet: --key, --account from the keystore, or the ALTCOIN_PRIVATE_KEY environment variable
+function getSecret(options) {
+    if (options.account) {
+        return getKeystore().load(options.account, getPassword(options));
+    }
+
+    const privateKey = options.key || process.env.ALTCOIN_PRIVATE_KEY;
+    if (!privateKey) {
+        throw new Error('A wallet is required: use --key <private key>, --account <name> or set ALTCOIN_PRIVATE_KEY');
+    }
+    return { type: 'key', secret: privateKey };
+}
+
+// Helper to create the HD wallet of a mnemonic, with every address it already used
+function getHDWallet(mnemonic) {
+    const wallet = new HDWallet(mnemonic, getBlockChain());
+    wallet.discoverAddresses();
+    return wallet;
+}
+
+// Helper to create the full wallet of the key, or of the --from address (0 by default) of an HD wallet
+function getWallet(options) {
+    const { type, secret } = getSecret(options);
+    if (type === 'mnemonic') {
+        const index = options.from === undefined ? 0 : parseInteger(options.from, 'from');
+        return getHDWallet(secret).getFullWallet(index);
+    }
+    return new FullWallet(secret, getBlockChain());
+}
+
+// Helper to check that a command got its positional arguments
+function requireArguments(args, count, usage) {
+    if (args.length < count) {
+        throw new Error('Usage: node cli.js ' + usage);
+    }
+}
+
+// Helper to parse a non-negative integer argument
+function parseInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative integer, got ${value}`);
+    }
+    return number;
+}
+
+// Helper to print a transaction over a few lines
+function formatTransaction(tx) {
+    const hash = tx.hash || tx.calculateHash();
+    return [
+        `Transaction ${hash}`,
+        `  From: ${tx.fromAddress === null ? 'mining reward' : tx.fromAddress}`,
+        `  To: ${tx.toAddress}`,
+        `  Amount ${tx.amount}, max fee ${tx.maxFeePerGas}, tip ${tx.maxPriorityFee}, nonce ${tx.nonce}`
+    ];
+}
+
+// Command to set up a data directory with a genesis file
+function init(args, options) {
+    requireOption(options, 'data-dir');
+    const store = new FileStore(dataDir);
+    if (store.read(BlockChain.CHAIN_KEY) !== null) {
+        throw new Error(`${dataDir} already holds a chain`);
+    }
+
+    // Copy the genesis file, so every later command uses this network
+    const sourcePath = options.genesis ? path.resolve(options.genesis) : path.join(__dirname, 'genesis.json');
+    store.write(BlockChain.GENESIS_KEY, BlockChain.loadGenesis(sourcePath));
+
+    const blockchain = new BlockChain(store, null, logger);
+    blockchain.saveChain();
+    return { dataDir: dataDir, genesisPath: store.getPath(BlockChain.GENESIS_KEY), chainId: blockchain.chainId, genesisHash: blockchain.chain[0].hash };
+}
+
+// Command to build a multisig address from public keys
+function multisigAddress(args) {
+    requireArguments(args, 2, commands['multisig-address'].usage);
+    const redeemScript = createRedeemScript(parseInteger(args[0], 'm'), args.slice(1));
+    return { address: redeemScriptToAddress(redeemScript), redeemScript: redeemScript };
+}
+
+// Helper to return a script with its address
+function scriptResult(script) {
+    return { address: scriptToAddress(script), script: script };
+}
+
+// Helper to parse a JSON argument
+function parseJSON(value, name) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error(`${name} must be valid JSON, got ${value}`);
+    }
+}
+
+// Command to generate a new key pair
+function keygen() {
+    const key = ec.genKeyPair();
+    return { address: publicKeyToAddress(key.getPublic('hex')), privateKey: key.getPrivate('hex') };
+}
+
+// Command to create an HD wallet and save its encrypted mnemonic
+function newMnemonic(args, options) {
+    const mnemonic = HDWallet.generateMnemonic();
+    const wallet = new HDWallet(mnemonic, getBlockChain());
+    const entry = getKeystore().importMnemonic(mnemonic, getPassword(options), requireOption(options, 'name'), wallet.getAddress(0));
+    return { ...entry, mnemonic: mnemonic };
+}
+
+// Command to save the encrypted mnemonic of an existing HD wallet
+function importMnemonic(args, options) {
+    requireArguments(args, 12, commands['import-mnemonic'].usage);
+    const mnemonic = args.join(' ');
+    const wallet = new HDWallet(mnemonic, getBlockChain());
+    return getKeystore().importMnemonic(mnemonic, getPassword(options), requireOption(options, 'name'), wallet.getAddress(0));
+}
+
+// Command to list the addresses of an HD wallet with their balances
+function addresses(args, options) {
+    const { type, secret } = getSecret(options);
+    if (type !== 'mnemonic') {
+        throw new Error(`Account ${options.account} is a single key, not an HD wallet`);
+    }
+
+    const wallet = getHDWallet(secret);
+    // Derive more addresses than were used, to receive coins
+    if (options.count !== undefined) {
+        wallet.addressCount = Math.max(wallet.addressCount, parseInteger(options.count, 'count'));
+    }
+    return { addresses: wallet.getBalances(), balance: wallet.getBalance() };
+}
+
+// Command to print the balance and next nonce of an address
+function balance(args) {
+    requireArguments(args, 1, commands.balance.usage);
+    const blockchain = getBlockChain();
+    return {
+        address: args[0],
+        balance: blockchain.getBalanceOfAddress(args[0]),
+        nonce: blockchain.getNonce(args[0])
+    };
+}
+
+// Command to send coins from the wallet
+function send(args, options) {
+    requireArguments(args, 2, commands.send.usage);
+    const { type, secret } = getSecret(options);
+    // An HD wallet chooses the address to spend from, unless --from is given
+    const wallet = type === 'mnemonic' && options.from === undefined ? getHDWallet(secret) : getWallet(options);
+    const amount = parseInteger(args[1], 'amount');
+
+    // Leave the fees to the wallet defaults unless they are given
+    const tip = options.fee === undefined ? undefined : parseInteger(options.fee, 'fee');
+    const maxFee = options['max-fee'] === undefined ? undefined : parseInteger(options['max-fee'], 'max fee');
+
+    const transaction = wallet.makeTransaction(args[0], amount, tip, maxFee);
+    return { hash: transaction.calculateHash(), transaction: transaction };
+}
+
+// Command to replace a pending transaction with one paying a higher fee
+function bumpFee(args, options) {
+    requireArguments(args, 1, commands['bump-fee'].usage);
+    const wallet = getWallet(options);
+
+    const pending = wallet.blockchain.getPendingTransactions().find(tx => tx.hash === args[0]);
+    if (!pending) {
+        throw new Error(`Transaction ${args[0]} is not pending`);
+    }
+    if (pending.fromAddress !== wallet.address) {
+        throw new Error(`Transaction ${args[0]} was not sent by ${wallet.address}`);
+    }
+
+    // The smallest raise the mempool accepts, unless the fees are given
+    const tip = options.fee === undefined ? Mempool.getReplacementFee(pending.maxPriorityFee) : parseInteger(options.fee, 'fee');
+    const maxFee = options['max-fee'] === undefined
+        ? Math.max(Mempool.getReplacementFee(pending.maxFeePerGas), tip)
+        : parseInteger(options['max-fee'], 'max fee');
+
+    const transaction = new Transaction(pending.fromAddress, pending.toAddress, pending.amount, maxFee, tip, pending.nonce, pending.chainId);
+    wallet.blockchain.addTransaction(transaction, wallet.key);
+    return { hash: transaction.calculateHash(), replaced: pending.hash, transaction: transaction };
+}
+
+// Command to mine one or more blocks
+function mine(args, options) {
+    const wallet = getWallet(options);
+    const count = options.blocks === undefined ? 1 : parseInteger(options.blocks, 'blocks');
+
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+        const block = wallet.minePendingTransactions();
+        blocks.push({ height: wallet.blockchain.chain.length - 1, hash: block.hash, transactions: block.getTransactionCount() });
+    }
+    return { blocks: blocks };
+}
+
+// Command to print a block by height or hash
+function block(args) {
+    requireArguments(args, 1, commands.block.usage);
+    const blockchain = getBlockChain();
+    const found = blockchain.getBlock(args[0]);
+    if (found === null) {
+        throw new Error(`Block ${args[0]} not found`);
+    }
+    return { height: blockchain.chain.indexOf(found), ...found.toJSON() };
+}
+
+// Command to print a mined or pending transaction
+function transaction(args) {
+    requireArguments(args, 1, commands.tx.usage);
+    const blockchain = getBlockChain();
+    const hash = args[0];
+
+    const mined = blockchain.searchTransaction(hash);
+    if (mined !== null) {
+        const found = blockchain.findBlockOfTransaction(hash);
+        return { transaction: mined, blockHash: found.hash, blockHeight: blockchain.chain.indexOf(found), pending: false };
+    }
+
+    const pending = blockchain.getPendingTransactions().find(tx => tx.hash === hash);
+    if (pending) {
+        return { transaction: pending, blockHash: null, blockHeight: null, pending: true };
+    }
+
+    throw new Error(`Transaction ${hash} not found`);
+}
+
+// Command to sum up the coins of the chain
+function stats(args) {
+    const blockchain = getBlockChain();
+    const supply = blockchain.getSupplyStats(args[0] === undefined ? undefined : parseInteger(args[0], 'height'));
+
+    const blocks = blockchain.chain.map((block, height) => ({
+        height: height,
+        hash: block.hash,
+        difficulty: block.difficulty,
+        baseFee: block.baseFee,
+        transactions: block.getTransactionCount(),
+        reward: blockchain.getBlockReward(height),
+        burned: block.getBurnedFees(),
+        tips: block.getPriorityFees()
+    }));
+
+    return {
+        height: blockchain.chain.length - 1,
+        nextDifficulty: blockchain.getNextDifficulty(),
+        nextBaseFee: blockchain.getNextBaseFee(),
+        pendingTransactions: blockchain.getPendingTransactions().length,
+        supply: supply,
+        blocks: blocks
+    };
+}
+
+// Helper to print the list of commands
+function printHelp() {
+    console.log('Usage: node cli.js <command> [arguments] [--data-dir <dir>] [--json]');
+    console.log();
+    console.log('<wallet> is --key <private key>, or --account <name> --password <password> for a keystore account');
+    console.log('(the password can also be set with ALTCOIN_PASSWORD). HD wallet accounts take --from <index> to pick an address.');
+    console.log();
+    console.log('Commands:');
+    for (const name of Object.keys(commands)) {
+        console.log(`  ${commands[name].usage}`);
+        console.log(`      ${commands[name].description}`);
+    }
+}
+
+/**
+ * Runs the CLI with the given command line arguments.
+ * @param {Array<string>} argv - The arguments, without the node and script paths.
+ * @returns {number} The exit code.
+ */
+function run(argv) {
+    let json = false;
+    try {
+        const { args, options } = parseArguments(argv);
+        json = options.json === true;
+        const name = args.shift();
+
+        if (name === undefined || options.help || !Object.prototype.hasOwnProperty.call(commands, name)) {
+            printHelp();
+            return name === undefined || options.help ? 0 : 1;
+        }
+
+        // Every command works against the chain, mempool and signatures of the data directory
+        dataDir = options['data-dir'] ? path.resolve(options['data-dir']) : getDefaultDataDir();
+
+        // Keep stdout to the JSON result: progress messages go to stderr
+        logger = new ConsoleLogger('info', json ? process.stderr : process.stdout);
+
+        const command = commands[name];
+        const result = command.run(args, options);
+        if (json) {
+            process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        } else {
+            process.stdout.write(command.format(result).join('\n') + '\n');
+        }
+        return 0;
+    } catch (error) {
+        if (json) {
+            process.stdout.write(JSON.stringify({ error: error.message }, null, 2) + '\n');
+        } else {
+            console.error('Error: ' + error.message);
+        }
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports.run = run;
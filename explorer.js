@@ -0,0 +1,515 @@
+// Importing required libraries
+const http = require('http');
+const { isValidAddress } = require('./address.js');
+
+/**
+ * Represents a local block explorer: a small web app, served by a node, that shows its chain.
+ * Pages are rendered on the server as plain HTML:
+ * - /: the chain summary and the latest blocks, with hash, time, transaction count, burned fees and miner reward
+ * - /block/<height or hash>: the header of a block, its transactions and their witness data
+ * - /tx/<hash>: a mined transaction with its Merkle proof, or a pending one
+ * - /address/<address>: the balance and nonce of an address and its transaction history
+ * - /mempool: the pending transactions
+ * - /search?q=<query>: redirects to the block, transaction or address the query names
+ * Lists are paginated with `?page=<n>`, Explorer.PAGE_SIZE rows per page.
+ */
+class Explorer {
+    /**
+     * Creates a new Explorer.
+     * @param {BlockChain} blockchain - The blockchain to show.
+     * @param {number} [port=8080] - The port the explorer listens on.
+     * @param {string} [host='127.0.0.1'] - The host the explorer listens on.
+     */
+    constructor(blockchain, port = 8080, host = '127.0.0.1') {
+        this.blockchain = blockchain;
+        this.port = port;
+        this.host = host;
+        this.server = null;
+    }
+
+    /**
+     * Starts the HTTP server.
+     * @returns {Promise<void>} Resolves once the server is listening.
+     */
+    start() {
+        this.server = http.createServer((request, response) => this.handleHttpRequest(request, response));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.blockchain.logger.info(`Block explorer listening on http://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the HTTP server.
+     * @returns {Promise<void>} Resolves once the server is closed.
+     */
+    stop() {
+        if (this.server === null) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Helper to answer an HTTP request with the page of its path
+    handleHttpRequest(request, response) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', 'Allow': 'GET, HEAD' });
+            response.end('Only GET requests are supported');
+            return;
+        }
+
+        let page;
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            page = this.route(url.pathname, url.searchParams);
+        } catch (error) {
+            this.blockchain.logger.error(`Explorer could not render ${request.url}: ${error.message}`);
+            page = { status: 500, title: 'Error', body: `<p>${escapeHtml(error.message)}</p>` };
+        }
+
+        if (page.redirect !== undefined) {
+            response.writeHead(302, { 'Location': page.redirect });
+            response.end();
+            return;
+        }
+
+        response.writeHead(page.status || 200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(request.method === 'HEAD' ? undefined : renderLayout(page.title, page.body));
+    }
+
+    /**
+     * Finds the page of a path.
+     * @param {string} pathname - The path of the request.
+     * @param {URLSearchParams} query - The query string of the request.
+     * @returns {{status: number, title: string, body: string}|{redirect: string}} The page, or the path to redirect to.
+     */
+    route(pathname, query) {
+        const page = getPageNumber(query);
+        let section, id;
+        try {
+            [, section, id] = pathname.split('/').map(part => decodeURIComponent(part));
+        } catch {
+            return notFound(`No page at ${pathname}`);
+        }
+
+        if (pathname === '/') {
+            return this.renderHome(page);
+        }
+        if (section === 'block' && id) {
+            return this.renderBlock(id) || notFound(`Block ${id} is not in the chain`);
+        }
+        if (section === 'tx' && id) {
+            return this.renderTransaction(id) || notFound(`Transaction ${id} is neither mined nor pending`);
+        }
+        if (section === 'address' && id) {
+            return this.renderAddress(id, page) || notFound(`${id} is not a valid address`);
+        }
+        if (pathname === '/mempool') {
+            return this.renderMempool(page);
+        }
+        if (pathname === '/search') {
+            return this.search((query.get('q') || '').trim());
+        }
+        return notFound(`No page at ${pathname}`);
+    }
+
+    /**
+     * Resolves a search query: a block height or hash, a transaction hash or an address.
+     * Transaction hashes are looked up with the Bloom Filters of the blocks, then in the mempool.
+     * @param {string} query - The query.
+     * @returns {Object} A redirect to the page that was found, or a not-found page.
+     */
+    search(query) {
+        if (query === '') {
+            return { redirect: '/' };
+        }
+
+        if (/^\d+$/.test(query) && this.blockchain.getBlock(query) !== null) {
+            return { redirect: '/block/' + Number(query) };
+        }
+
+        if (/^[0-9a-fA-F]{64}$/.test(query)) {
+            const hash = query.toLowerCase();
+            if (this.blockchain.getBlock(hash) !== null) {
+                return { redirect: '/block/' + hash };
+            }
+            if (this.blockchain.searchTransaction(hash) !== null || this.blockchain.mempool.has(hash)) {
+                return { redirect: '/tx/' + hash };
+            }
+        }
+
+        if (isValidAddress(query)) {
+            return { redirect: '/address/' + query };
+        }
+
+        return notFound(`Nothing matches ${query}: enter a block height or hash, a transaction hash or an address`);
+    }
+
+    // Helper to render the chain summary and a page of the latest blocks
+    renderHome(page) {
+        const chain = this.blockchain.chain;
+        const stats = this.blockchain.getSupplyStats();
+        const { items, pagination } = paginate([...chain].reverse(), page, '/');
+
+        const summary = renderFields([
+            ['Height', chain.length - 1],
+            ['Latest block', linkBlock(this.blockchain.getLatestBlock().hash)],
+            ['Next base fee', this.blockchain.getNextBaseFee()],
+            ['Next difficulty', this.blockchain.getNextDifficulty()],
+            ['Next block reward', stats.nextBlockReward],
+            ['Circulating coins', `${stats.circulatingCoins} (${stats.burnedCoins} burned, ${stats.remainingCoins} left to mine)`],
+            ['Pending transactions', html(`<a href="/mempool">${this.blockchain.getPendingTransactions().length}</a>`)]
+        ]);
+
+        const rows = items.map(block => {
+            const height = chain.indexOf(block);
+            return [
+                html(`<a href="/block/${height}">${height}</a>`),
+                linkBlock(block.hash),
+                formatTime(block.timestamp),
+                block.getTransactionCount(),
+                block.getBurnedFees(),
+                height === 0 ? 'Genesis' : block.getMinerReward(),
+                height === 0 ? '' : linkAddress(getMinerAddress(block))
+            ];
+        });
+
+        return {
+            title: 'Blocks',
+            body: summary + '<h2>Latest blocks</h2>'
+                + renderTable(['Height', 'Hash', 'Time', 'Transactions', 'Burned fees', 'Miner reward', 'Miner'], rows)
+                + pagination
+        };
+    }
+
+    // Helper to render the header, transactions and witness data of a block, or null if it is not in the chain
+    renderBlock(id) {
+        const block = this.blockchain.getBlock(id);
+        if (block === null) {
+            return null;
+        }
+
+        const height = this.blockchain.chain.indexOf(block);
+        const next = this.blockchain.chain[height + 1];
+        const header = renderFields([
+            ['Height', height],
+            ['Hash', block.hash],
+            ['Previous block', height === 0 ? 'None' : linkBlock(block.previousHash)],
+            ['Next block', next ? linkBlock(next.hash) : 'None yet'],
+            ['Time', formatTime(block.timestamp)],
+            ['Merkle root', block.merkleRoot],
+            ['Witness root', block.witnessRoot],
+            ['State root', block.stateRoot],
+            ['Difficulty', block.difficulty],
+            ['Nonce', block.nonce],
+            ['Base fee', block.baseFee],
+            ['Burned fees', block.getBurnedFees()],
+            ['Tips', block.getPriorityFees()],
+            ['Miner reward', height === 0 ? 'None (genesis allocations)' : block.getMinerReward()]
+        ]);
+
+        // The witnesses are stored outside the block (SegWit), one per signed transaction in block order
+        const witnesses = this.blockchain.getBlockSignatures(block.hash) || [];
+        let signedIndex = 0;
+        const rows = block.transactions.map(transaction => {
+            const witness = transaction.fromAddress === null ? null : witnesses[signedIndex++] || null;
+            return [
+                linkTransaction(transaction.calculateHash()),
+                linkSender(transaction, height),
+                linkAddress(transaction.toAddress),
+                transaction.amount,
+                transaction.fromAddress === null ? '' : transaction.getEffectiveTip(block.baseFee),
+                renderWitness(witness)
+            ];
+        });
+
+        return {
+            title: `Block ${height}`,
+            body: header + `<h2>Transactions (${block.transactions.length})</h2>`
+                + renderTable(['Hash', 'From', 'To', 'Amount', 'Tip', 'Witness'], rows)
+        };
+    }
+
+    // Helper to render a mined or pending transaction, or null if it is neither
+    renderTransaction(hash) {
+        // The Bloom Filters of the blocks skip the blocks that cannot hold the transaction
+        const transaction = this.blockchain.searchTransaction(hash);
+        if (transaction !== null) {
+            const block = this.blockchain.findBlockOfTransaction(hash);
+            const height = this.blockchain.chain.indexOf(block);
+            const signedTransactions = block.transactions.filter(tx => tx.fromAddress !== null);
+            const witnesses = this.blockchain.getBlockSignatures(block.hash) || [];
+            const witness = transaction.fromAddress === null ? null : witnesses[signedTransactions.indexOf(transaction)] || null;
+            const proof = block.getMerkleProof(hash);
+
+            return {
+                title: 'Transaction',
+                body: renderTransactionFields(transaction, hash, linkSender(transaction, height), [
+                    ['Status', html(`Mined in block ${linkBlock(block.hash).markup} at height ${height}, ${this.blockchain.chain.length - height} confirmations`)],
+                    ['Time of the block', formatTime(block.timestamp)],
+                    ['Tip paid', transaction.fromAddress === null ? 'None' : transaction.getEffectiveTip(block.baseFee)],
+                    ['Base fee burned', transaction.fromAddress === null ? 'None' : block.baseFee],
+                    ['Witness', renderWitness(witness)],
+                    ['Merkle proof', html(`<pre>${escapeHtml(JSON.stringify(proof, null, 2))}</pre>`)],
+                    ['Merkle root', block.merkleRoot]
+                ])
+            };
+        }
+
+        const entry = this.blockchain.mempool.getEntries().find(({ transaction: tx }) => tx.hash === hash);
+        if (!entry) {
+            return null;
+        }
+        return {
+            title: 'Pending transaction',
+            body: renderTransactionFields(entry.transaction, hash, linkAddress(entry.transaction.fromAddress), [
+                ['Status', html('<a href="/mempool">Pending</a> in the mempool')],
+                ['Received', formatTime(entry.addedAt)],
+                ['Witness', renderWitness(entry.witness)]
+            ])
+        };
+    }
+
+    // Helper to render the balance, pending transactions and a page of the history of an address, or null if it is invalid
+    renderAddress(address, page) {
+        if (!isValidAddress(address)) {
+            return null;
+        }
+
+        const account = this.blockchain.state.getAccount(address);
+        const pending = this.blockchain.getPendingTransactions().filter(tx => tx.fromAddress === address || tx.toAddress === address);
+        const { items, pagination } = paginate(this.blockchain.getAddressHistory(address), page, '/address/' + encodeURIComponent(address));
+
+        const fields = renderFields([
+            ['Address', address],
+            ['Confirmed balance', account.balance],
+            ['Balance with pending transactions', this.blockchain.getBalanceOfAddress(address)],
+            ['Next nonce', this.blockchain.getNonce(address)]
+        ]);
+
+        const pendingRows = pending.map(tx => [linkTransaction(tx.hash), linkAddress(tx.fromAddress), linkAddress(tx.toAddress), formatAmount(tx, address), tx.nonce]);
+        const historyRows = items.map(({ transaction, blockHash, height }) => [
+            html(`<a href="/block/${escapeHtml(blockHash)}">${height}</a>`),
+            linkTransaction(transaction.calculateHash()),
+            formatTime(transaction.timestamp),
+            linkSender(transaction, height),
+            linkAddress(transaction.toAddress),
+            formatAmount(transaction, address)
+        ]);
+
+        return {
+            title: 'Address',
+            body: fields
+                + (pending.length > 0 ? '<h2>Pending</h2>' + renderTable(['Hash', 'From', 'To', 'Amount', 'Nonce'], pendingRows) : '')
+                + '<h2>History</h2>' + renderTable(['Block', 'Hash', 'Time', 'From', 'To', 'Amount'], historyRows)
+                + pagination
+        };
+    }
+
+    // Helper to render a page of the pending transactions
+    renderMempool(page) {
+        const entries = this.blockchain.mempool.getEntries();
+        const baseFee = this.blockchain.getNextBaseFee();
+        const { items, pagination } = paginate(entries, page, '/mempool');
+
+        const rows = items.map(({ transaction, addedAt }) => [
+            linkTransaction(transaction.hash),
+            linkAddress(transaction.fromAddress),
+            linkAddress(transaction.toAddress),
+            transaction.amount,
+            transaction.maxFeePerGas,
+            transaction.maxPriorityFee,
+            transaction.nonce,
+            formatTime(addedAt)
+        ]);
+
+        return {
+            title: 'Mempool',
+            body: `<p>${entries.length} pending transactions, the next block burns a base fee of ${baseFee} per transaction.</p>`
+                + renderTable(['Hash', 'From', 'To', 'Amount', 'Max fee', 'Max tip', 'Nonce', 'Received'], rows)
+                + pagination
+        };
+    }
+}
+
+// The number of rows of a page of blocks, transactions or history
+Explorer.PAGE_SIZE = 20;
+
+// Helper to escape text for HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Helper to format a timestamp (ms) as a UTC date and time
+function formatTime(timestamp) {
+    const date = new Date(Number(timestamp));
+    return isNaN(date.getTime()) ? String(timestamp) : date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+}
+
+// Helper to show the amount of a transaction as seen from an address: negative when it is sent
+function formatAmount(transaction, address) {
+    if (transaction.fromAddress === address && transaction.toAddress !== address) {
+        return '-' + transaction.amount;
+    }
+    return '+' + transaction.amount;
+}
+
+// Helper to find the address the block reward of a block is paid to
+function getMinerAddress(block) {
+    const reward = block.transactions.find(tx => tx.fromAddress === null);
+    return reward ? reward.toAddress : null;
+}
+
+// Helpers to link to the page of a block, a transaction or an address
+function linkBlock(hash) {
+    return html(`<a href="/block/${encodeURIComponent(hash)}"><code>${escapeHtml(hash)}</code></a>`);
+}
+
+function linkTransaction(hash) {
+    return html(`<a href="/tx/${encodeURIComponent(hash)}"><code>${escapeHtml(hash)}</code></a>`);
+}
+
+function linkAddress(address) {
+    if (address === null) {
+        return '';
+    }
+    return html(`<a href="/address/${encodeURIComponent(address)}"><code>${escapeHtml(address)}</code></a>`);
+}
+
+// Helper to show the sender of a mined transaction: an address, or what created the coins
+function linkSender(transaction, height) {
+    if (transaction.fromAddress !== null) {
+        return linkAddress(transaction.fromAddress);
+    }
+    return height === 0 ? 'Genesis allocation' : 'Block reward';
+}
+
+// Helper to render the witness of a transaction: a public key and signature, or the script data of a multisig or script sender
+function renderWitness(witness) {
+    if (witness === null) {
+        return 'None';
+    }
+    return html(`<pre>${escapeHtml(JSON.stringify(witness, null, 2))}</pre>`);
+}
+
+// Helper to render the fields of a transaction, followed by extra fields
+function renderTransactionFields(transaction, hash, sender, extraFields) {
+    return renderFields([
+        ['Hash', hash],
+        ['From', sender],
+        ['To', linkAddress(transaction.toAddress)],
+        ['Amount', transaction.amount],
+        ['Max fee', transaction.maxFeePerGas],
+        ['Max tip', transaction.maxPriorityFee],
+        ['Nonce', transaction.nonce],
+        ['Chain ID', transaction.chainId === null ? 'None' : transaction.chainId],
+        ['Created', formatTime(transaction.timestamp)],
+        ...extraFields
+    ]);
+}
+
+// Represents markup built by the helpers of this file, the only cell content that is not escaped
+class Html {
+    constructor(markup) {
+        this.markup = markup;
+    }
+}
+
+// Helper to mark a string as markup, every value it interpolates must already be escaped
+function html(markup) {
+    return new Html(markup);
+}
+
+// Helper to render the content of a cell: markup as is, any other value (stored data included) escaped
+function renderCell(value) {
+    return value instanceof Html ? value.markup : escapeHtml(value);
+}
+
+// Helper to render label and value pairs
+function renderFields(fields) {
+    return '<table class="fields">'
+        + fields.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${renderCell(value)}</td></tr>`).join('')
+        + '</table>';
+}
+
+// Helper to render a table
+function renderTable(headers, rows) {
+    if (rows.length === 0) {
+        return '<p>Nothing to show.</p>';
+    }
+    return '<table><tr>' + headers.map(header => `<th>${escapeHtml(header)}</th>`).join('') + '</tr>'
+        + rows.map(row => '<tr>' + row.map(cell => `<td>${renderCell(cell)}</td>`).join('') + '</tr>').join('')
+        + '</table>';
+}
+
+// Helper to read the page number of a list, 1 if it is missing or invalid
+function getPageNumber(query) {
+    const page = Number(query.get('page'));
+    return Number.isInteger(page) && page >= 1 ? page : 1;
+}
+
+// Helper to cut a page out of a list, with the links to the other pages
+function paginate(list, page, basePath) {
+    const pageCount = Math.max(Math.ceil(list.length / Explorer.PAGE_SIZE), 1);
+    const current = Math.min(page, pageCount);
+    const items = list.slice((current - 1) * Explorer.PAGE_SIZE, current * Explorer.PAGE_SIZE);
+
+    if (pageCount === 1) {
+        return { items: items, pagination: '' };
+    }
+    const links = [];
+    if (current > 1) {
+        links.push(`<a href="${basePath}?page=${current - 1}">Newer</a>`);
+    }
+    links.push(`Page ${current} of ${pageCount}`);
+    if (current < pageCount) {
+        links.push(`<a href="${basePath}?page=${current + 1}">Older</a>`);
+    }
+    return { items: items, pagination: `<p class="pages">${links.join(' · ')}</p>` };
+}
+
+// Helper to build a not-found page
+function notFound(message) {
+    return { status: 404, title: 'Not found', body: `<p>${escapeHtml(message)}</p>` };
+}
+
+// Helper to wrap the body of a page with the navigation and the search box
+function renderLayout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} · ALT-COIN Explorer</title>
+<style>
+body { font-family: sans-serif; margin: 2em auto; max-width: 72em; padding: 0 1em; }
+nav { display: flex; gap: 1em; align-items: center; border-bottom: 1px solid #ccc; padding-bottom: 1em; }
+nav form { margin-left: auto; }
+nav input { width: 32em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border-bottom: 1px solid #eee; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+code, pre { font-size: 0.85em; word-break: break-all; white-space: pre-wrap; margin: 0; }
+</style>
+</head>
+<body>
+<nav>
+<a href="/"><strong>ALT-COIN Explorer</strong></a>
+<a href="/">Blocks</a>
+<a href="/mempool">Mempool</a>
+<form action="/search" method="get"><input name="q" placeholder="Block height or hash, transaction hash or address"> <button>Search</button></form>
+</nav>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports.Explorer = Explorer;
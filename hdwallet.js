@@ -0,0 +1,284 @@
+// Importing required libraries
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const bip39 = require('bip39');
+const { FullWallet } = require('./blockchain.js');
+const { publicKeyToAddress } = require('./address.js');
+
+// Create a new elliptic curve instance using secp256k1
+const ec = new EC('secp256k1');
+
+// Child indexes from 2^31 up are hardened
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Represents a node of a BIP32 key tree: a secp256k1 private key and its chain code.
+ */
+class HDKey {
+    /**
+     * Creates a new HDKey.
+     * @param {Buffer} privateKey - The 32 byte private key.
+     * @param {Buffer} chainCode - The 32 byte chain code.
+     */
+    constructor(privateKey, chainCode) {
+        this.privateKey = privateKey;
+        this.chainCode = chainCode;
+        this.key = ec.keyFromPrivate(privateKey);
+    }
+
+    /**
+     * Creates the master key of a seed.
+     * @param {Buffer} seed - The seed (64 bytes for a BIP39 mnemonic).
+     * @returns {HDKey} The master key.
+     */
+    static fromSeed(seed) {
+        const digest = crypto.createHmac('sha512', 'Bitcoin seed').update(seed).digest();
+        const privateKey = digest.subarray(0, 32);
+
+        const number = BigInt('0x' + privateKey.toString('hex'));
+        if (number === 0n || number >= HDKey.CURVE_ORDER) {
+            throw new Error("Invalid seed, the master key is out of range");
+        }
+        return new HDKey(privateKey, digest.subarray(32));
+    }
+
+    /**
+     * Derives the child key at an index.
+     * @param {number} index - The index of the child, hardened from 2^31 up.
+     * @returns {HDKey} The child key.
+     */
+    deriveChild(index) {
+        const indexBuffer = Buffer.alloc(4);
+        indexBuffer.writeUInt32BE(index);
+
+        // Hardened children hash the private key, normal children the compressed public key
+        const data = index >= HARDENED_OFFSET
+            ? Buffer.concat([Buffer.alloc(1), this.privateKey, indexBuffer])
+            : Buffer.concat([Buffer.from(this.key.getPublic(true, 'hex'), 'hex'), indexBuffer]);
+        const digest = crypto.createHmac('sha512', this.chainCode).update(data).digest();
+
+        const tweak = BigInt('0x' + digest.subarray(0, 32).toString('hex'));
+        const child = (tweak + BigInt('0x' + this.privateKey.toString('hex'))) % HDKey.CURVE_ORDER;
+
+        // Out of range keys are skipped, as BIP32 specifies (this has a negligible probability)
+        if (tweak >= HDKey.CURVE_ORDER || child === 0n) {
+            return this.deriveChild(index + 1);
+        }
+        return new HDKey(Buffer.from(child.toString(16).padStart(64, '0'), 'hex'), digest.subarray(32));
+    }
+
+    /**
+     * Derives the key at a path such as m/44'/1337'/0'/0/5.
+     * @param {string} derivationPath - The path, with ' marking hardened indexes.
+     * @returns {HDKey} The derived key.
+     */
+    derive(derivationPath) {
+        const parts = derivationPath.split('/');
+        if (parts[0] !== 'm') {
+            throw new Error("Invalid derivation path " + derivationPath);
+        }
+
+        let node = this;
+        for (const part of parts.slice(1)) {
+            const hardened = part.endsWith("'");
+            const index = Number(hardened ? part.slice(0, -1) : part);
+            if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+                throw new Error("Invalid derivation path " + derivationPath);
+            }
+            node = node.deriveChild(hardened ? index + HARDENED_OFFSET : index);
+        }
+        return node;
+    }
+
+    /**
+     * Returns the private key in hex, as taken by FullWallet and LightWallet.
+     * @returns {string} The private key (hex).
+     */
+    getPrivateKey() {
+        return this.privateKey.toString('hex');
+    }
+}
+
+// The order of the secp256k1 curve
+HDKey.CURVE_ORDER = BigInt('0x' + ec.curve.n.toString(16));
+
+/**
+ * Represents a hierarchical deterministic wallet: many addresses derived from one BIP39 mnemonic.
+ * Addresses are derived at m/44'/<chain ID>'/0'/0/<index>, m/44'/1337'/0'/0/<index> on the default network,
+ * so one mnemonic gives different keys on different networks.
+ * The wallet tracks the balance of every derived address and spends from one of them.
+ */
+class HDWallet {
+    /**
+     * Creates a new HDWallet.
+     * @param {string} mnemonic - The BIP39 mnemonic of the wallet.
+     * @param {BlockChain} blockchain - The blockchain instance associated with the wallet.
+     * @param {string} [passphrase=''] - The optional BIP39 passphrase.
+     * @param {number} [addressCount=1] - The number of addresses derived so far.
+     */
+    constructor(mnemonic, blockchain, passphrase = '', addressCount = 1) {
+        if (!bip39.validateMnemonic(mnemonic)) {
+            throw new Error("Invalid mnemonic");
+        }
+
+        this.blockchain = blockchain;
+        this.root = HDKey.fromSeed(bip39.mnemonicToSeedSync(mnemonic, passphrase));
+        // Derive the account once, the addresses are its children
+        this.account = this.root.derive(HDWallet.getAccountPath(blockchain.chainId));
+        this.addressCount = addressCount;
+    }
+
+    /**
+     * Returns the derivation path of the account of a network, the addresses are its normal children.
+     * The chain ID is the coin type (a hardened index, so it must be below 2^31).
+     * @param {number} chainId - The chain ID of the network.
+     * @returns {string} The path, such as m/44'/1337'/0'/0.
+     */
+    static getAccountPath(chainId) {
+        return `m/44'/${chainId}'/0'/0`;
+    }
+
+    /**
+     * Generates a new random mnemonic.
+     * @param {number} [strength=128] - The entropy in bits (128 gives 12 words, 256 gives 24 words).
+     * @returns {string} The mnemonic.
+     */
+    static generateMnemonic(strength = 128) {
+        return bip39.generateMnemonic(strength);
+    }
+
+    /**
+     * Derives the key pair of an address.
+     * @param {number} index - The index of the address.
+     * @returns {Object} The elliptic key pair.
+     */
+    getKey(index) {
+        return this.account.deriveChild(index).key;
+    }
+
+    /**
+     * Derives an address.
+     * @param {number} index - The index of the address.
+     * @returns {string} The address.
+     */
+    getAddress(index) {
+        return publicKeyToAddress(this.getKey(index).getPublic('hex'));
+    }
+
+    /**
+     * Returns the addresses derived so far.
+     * @returns {Array<string>} The addresses, by index.
+     */
+    getAddresses() {
+        const addresses = [];
+        for (let i = 0; i < this.addressCount; i++) {
+            addresses.push(this.getAddress(i));
+        }
+        return addresses;
+    }
+
+    /**
+     * Derives the next unused address, to receive coins.
+     * @returns {string} The new address.
+     */
+    deriveNextAddress() {
+        this.addressCount++;
+        return this.getAddress(this.addressCount - 1);
+    }
+
+    /**
+     * Finds the addresses that were already used, after restoring a wallet from its mnemonic.
+     * Scans until `gapLimit` addresses in a row have no transactions.
+     * @param {number} [gapLimit=20] - The number of unused addresses that ends the scan.
+     * @returns {number} The number of addresses of the wallet.
+     */
+    discoverAddresses(gapLimit = 20) {
+        const usedAddresses = this.getUsedAddresses();
+
+        let lastUsed = -1;
+        for (let i = 0; i <= lastUsed + gapLimit; i++) {
+            if (usedAddresses.has(this.getAddress(i))) {
+                lastUsed = i;
+            }
+        }
+
+        this.addressCount = Math.max(this.addressCount, lastUsed + 1);
+        return this.addressCount;
+    }
+
+    // Helper to collect every address that appears in the chain or the mempool
+    getUsedAddresses() {
+        const transactions = this.blockchain.chain
+            .flatMap(block => block.transactions)
+            .concat(this.blockchain.getPendingTransactions());
+
+        const addresses = new Set();
+        for (const tx of transactions) {
+            addresses.add(tx.fromAddress);
+            addresses.add(tx.toAddress);
+        }
+        return addresses;
+    }
+
+    /**
+     * Returns the balance of every address of the wallet.
+     * @returns {Array<Object>} The index, address and balance of every address.
+     */
+    getBalances() {
+        return this.getAddresses().map((address, index) => ({
+            index: index,
+            address: address,
+            balance: this.blockchain.getBalanceOfAddress(address)
+        }));
+    }
+
+    /**
+     * Returns the total balance of the wallet.
+     * @returns {number} The sum of the balances of all its addresses.
+     */
+    getBalance() {
+        return this.getBalances().reduce((total, entry) => total + entry.balance, 0);
+    }
+
+    /**
+     * Chooses the address to spend from: the one with the smallest balance that covers the cost.
+     * @param {number} cost - The amount plus the max fee.
+     * @returns {number} The index of the address.
+     */
+    selectAddress(cost) {
+        const candidates = this.getBalances()
+            .filter(entry => entry.balance >= cost)
+            .sort((a, b) => a.balance - b.balance);
+
+        if (candidates.length === 0) {
+            throw new Error("Insufficient funds: no address of the wallet has " + cost);
+        }
+        return candidates[0].index;
+    }
+
+    /**
+     * Returns a full wallet for one address, to sign, send and mine with it.
+     * @param {number} index - The index of the address.
+     * @returns {FullWallet} The full wallet of the address.
+     */
+    getFullWallet(index) {
+        return new FullWallet(this.account.deriveChild(index).getPrivateKey(), this.blockchain);
+    }
+
+    /**
+     * Creates and submits a transaction from one of the wallet's addresses.
+     * @param {string} toAddress - The recipient's address.
+     * @param {number} amount - The amount to transfer.
+     * @param {number} [maxPriorityFee] - The tip for the miner, the blockchain's default priority fee if omitted.
+     * @param {number} [maxFeePerGas] - The max fee, twice the next base fee plus the tip if omitted.
+     * @param {number|null} [fromIndex=null] - The index of the address to spend from, chosen by `selectAddress` if null.
+     * @returns {Transaction} The submitted transaction.
+     */
+    makeTransaction(toAddress, amount, maxPriorityFee = this.blockchain.defaultPriorityFee, maxFeePerGas = 2 * this.blockchain.getNextBaseFee() + maxPriorityFee, fromIndex = null) {
+        const index = fromIndex === null ? this.selectAddress(amount + maxFeePerGas) : fromIndex;
+        return this.getFullWallet(index).makeTransaction(toAddress, amount, maxPriorityFee, maxFeePerGas);
+    }
+}
+
+module.exports.HDKey = HDKey;
+module.exports.HDWallet = HDWallet;
@@ -0,0 +1,195 @@
+// Importing required libraries
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EC = require('elliptic').ec;
+const bip39 = require('bip39');
+const { publicKeyToAddress } = require('./address.js');
+const { getDefaultDataDir } = require('./storage.js');
+
+// Create a new elliptic curve instance using secp256k1
+const ec = new EC('secp256k1');
+
+/**
+ * Represents a directory of password-encrypted keys.
+ * Every entry is one JSON file holding a private key or an HD wallet mnemonic,
+ * encrypted with AES-256-GCM under a key derived from the password with scrypt.
+ * The address is stored in clear so entries can be listed without the password.
+ */
+class Keystore {
+    /**
+     * Creates a new Keystore.
+     * @param {string} [dir] - The directory of the key files, `keystore` in the default data directory if omitted (see storage.js).
+     */
+    constructor(dir = path.join(getDefaultDataDir(), 'keystore')) {
+        this.dir = dir;
+    }
+
+    /**
+     * Encrypts a secret with a password.
+     * @param {string} secret - The secret to encrypt (a private key or a mnemonic).
+     * @param {string} password - The password.
+     * @returns {Object} The KDF parameters, IV, ciphertext and authentication tag, all hex encoded.
+     */
+    static encrypt(secret, password) {
+        if (typeof password !== 'string' || password === '') {
+            throw new Error("A password is required to encrypt a key");
+        }
+
+        const salt = crypto.randomBytes(32);
+        const kdfparams = { n: Keystore.SCRYPT_N, r: Keystore.SCRYPT_R, p: Keystore.SCRYPT_P, dklen: 32, salt: salt.toString('hex') };
+        const derivedKey = Keystore.deriveKey(password, kdfparams);
+
+        // A fresh IV for every encryption, as GCM requires
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', derivedKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf-8'), cipher.final()]);
+
+        return {
+            kdf: 'scrypt',
+            kdfparams: kdfparams,
+            cipher: 'aes-256-gcm',
+            iv: iv.toString('hex'),
+            ciphertext: ciphertext.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex')
+        };
+    }
+
+    /**
+     * Decrypts a secret encrypted by `Keystore.encrypt`.
+     * @param {Object} encrypted - The output of `Keystore.encrypt`.
+     * @param {string} password - The password.
+     * @returns {string} The secret.
+     */
+    static decrypt(encrypted, password) {
+        if (encrypted.kdf !== 'scrypt' || encrypted.cipher !== 'aes-256-gcm') {
+            throw new Error("Unsupported key file encryption: " + encrypted.kdf + ", " + encrypted.cipher);
+        }
+
+        const derivedKey = Keystore.deriveKey(password, encrypted.kdfparams);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', derivedKey, Buffer.from(encrypted.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+
+        try {
+            // The authentication tag fails for a wrong password or a modified file
+            return Buffer.concat([decipher.update(Buffer.from(encrypted.ciphertext, 'hex')), decipher.final()]).toString('utf-8');
+        } catch {
+            throw new Error("Wrong password or corrupted key file");
+        }
+    }
+
+    // Helper to derive the encryption key from the password
+    static deriveKey(password, kdfparams) {
+        return crypto.scryptSync(password, Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, {
+            N: kdfparams.n,
+            r: kdfparams.r,
+            p: kdfparams.p,
+            maxmem: 256 * kdfparams.n * kdfparams.r
+        });
+    }
+
+    /**
+     * Encrypts and saves a private key.
+     * @param {string} privateKey - The private key (hex).
+     * @param {string} password - The password.
+     * @param {string} [name] - The name of the entry, the address if omitted.
+     * @returns {Object} The entry: name, type and address.
+     */
+    importKey(privateKey, password, name) {
+        const address = publicKeyToAddress(ec.keyFromPrivate(privateKey).getPublic('hex'));
+        return this.save(name || address, 'key', address, privateKey, password);
+    }
+
+    /**
+     * Encrypts and saves the mnemonic of an HD wallet.
+     * @param {string} mnemonic - The BIP39 mnemonic.
+     * @param {string} password - The password.
+     * @param {string} name - The name of the entry.
+     * @param {string} address - The first address of the wallet, shown when listing entries.
+     * @returns {Object} The entry: name, type and address.
+     */
+    importMnemonic(mnemonic, password, name, address) {
+        if (!bip39.validateMnemonic(mnemonic)) {
+            throw new Error("Invalid mnemonic");
+        }
+        return this.save(name, 'mnemonic', address, mnemonic, password);
+    }
+
+    // Helper to write an encrypted entry to its file
+    save(name, type, address, secret, password) {
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error("Invalid key name " + name + ": use letters, digits, - and _");
+        }
+
+        const filePath = this.getPath(name);
+        if (fs.existsSync(filePath)) {
+            throw new Error("Key " + name + " already exists");
+        }
+
+        const entry = { version: Keystore.VERSION, name: name, type: type, address: address, crypto: Keystore.encrypt(secret, password) };
+        fs.mkdirSync(this.dir, { recursive: true });
+        // Only the owner can read the key file
+        fs.writeFileSync(filePath, JSON.stringify(entry, null, 2), { mode: 0o600 });
+        return { name: name, type: type, address: address };
+    }
+
+    /**
+     * Lists the entries of the keystore.
+     * @returns {Array<Object>} The name, type and address of every entry.
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .filter(fileName => fileName.endsWith('.json'))
+            .map(fileName => this.read(path.basename(fileName, '.json')))
+            .map(entry => ({ name: entry.name, type: entry.type, address: entry.address }));
+    }
+
+    /**
+     * Decrypts an entry of the keystore.
+     * @param {string} name - The name of the entry.
+     * @param {string} password - The password.
+     * @returns {Object} The type of the entry ('key' or 'mnemonic') and its secret.
+     */
+    load(name, password) {
+        const entry = this.read(name);
+        const secret = Keystore.decrypt(entry.crypto, password);
+
+        // A key that does not match its address means the file was edited
+        if (entry.type === 'key' && publicKeyToAddress(ec.keyFromPrivate(secret).getPublic('hex')) !== entry.address) {
+            throw new Error("Key " + name + " does not match its address");
+        }
+        return { type: entry.type, secret: secret };
+    }
+
+    // Helper to read the file of an entry
+    read(name) {
+        const filePath = this.getPath(name);
+        if (!fs.existsSync(filePath)) {
+            throw new Error("Unknown key " + name);
+        }
+
+        const entry = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        if (entry.version !== Keystore.VERSION) {
+            throw new Error("Unsupported key file version " + entry.version);
+        }
+        return entry;
+    }
+
+    // Helper to get the path of the file of an entry
+    getPath(name) {
+        return path.join(this.dir, name + '.json');
+    }
+}
+
+// The version of the key file format
+Keystore.VERSION = 1;
+// The scrypt cost parameters (16 MB of memory per derivation)
+Keystore.SCRYPT_N = 2 ** 14;
+Keystore.SCRYPT_R = 8;
+Keystore.SCRYPT_P = 1;
+
+module.exports.Keystore = Keystore;
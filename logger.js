@@ -0,0 +1,68 @@
+/*
+ * A logger is any object with one method per level, each taking a message:
+ * debug, info, warn and error. The blockchain, the wallets and the nodes write
+ * their progress messages to the logger they are given instead of the console,
+ * so an application can send them elsewhere or turn them off.
+ */
+
+// The log levels, from the most to the least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Represents a logger that writes the messages of a level and above to a stream, one per line.
+ */
+class ConsoleLogger {
+    /**
+     * Creates a new ConsoleLogger.
+     * @param {string} [level='info'] - The lowest level written: debug, info, warn or error.
+     * @param {Object} [stream=process.stdout] - The stream the messages are written to.
+     */
+    constructor(level = 'info', stream = process.stdout) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level ${level}, expected one of ${LOG_LEVELS.join(', ')}`);
+        }
+        this.level = level;
+        this.stream = stream;
+    }
+
+    // Helper to write a message if its level is enabled
+    write(level, message) {
+        if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level)) {
+            this.stream.write(message + '\n');
+        }
+    }
+
+    debug(message) {
+        this.write('debug', message);
+    }
+
+    info(message) {
+        this.write('info', message);
+    }
+
+    warn(message) {
+        this.write('warn', message);
+    }
+
+    error(message) {
+        this.write('error', message);
+    }
+}
+
+/**
+ * Represents a logger that drops every message, for tests and embedding applications
+ * that follow the events instead.
+ */
+class SilentLogger {
+    debug() {}
+
+    info() {}
+
+    warn() {}
+
+    error() {}
+}
+
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.ConsoleLogger = ConsoleLogger;
+module.exports.SilentLogger = SilentLogger;
@@ -0,0 +1,271 @@
+// Importing required libraries
+const { isValidAddress } = require('./address.js');
+const { ConsoleLogger } = require('./logger.js');
+
+/**
+ * Represents the pool of pending transactions, saved to a store.
+ * The entries are read from the store once and kept in memory, the store is only written when they change
+ * (`add`, `remove`, `expire` and `save`): reading the pending transactions never writes the store.
+ * Every entry keeps a transaction together with its witness and the time it was added,
+ * so a bad entry cannot shift the witnesses of the others.
+ * The pool is limited in size (the lowest paying transactions are evicted first),
+ * entries expire after a while, and a pending transaction can be replaced by one
+ * with the same sender and nonce that pays a higher fee (replace-by-fee).
+ */
+class Mempool {
+    /**
+     * Creates a new Mempool.
+     * @param {Object} store - The store the pending transactions are saved to (see storage.js).
+     * @param {Object} [logger] - The logger of the entries dropped when an old file is migrated (see logger.js), info and above to stdout if omitted.
+     * @param {number} [maxSize] - The maximum number of pending transactions, Mempool.MAX_SIZE if omitted.
+     * @param {number} [expiryTime] - The time (ms) after which a pending transaction is dropped, Mempool.EXPIRY_TIME if omitted.
+     */
+    constructor(store, logger = new ConsoleLogger(), maxSize = Mempool.MAX_SIZE, expiryTime = Mempool.EXPIRY_TIME) {
+        this.store = store;
+        this.logger = logger;
+        this.maxSize = maxSize;
+        this.expiryTime = expiryTime;
+        // The pending entries, in the order they were added
+        this.entries = this.load();
+    }
+
+    // Helper to read the entries from the store, migrating an old file (it is rewritten in the current format with the next change)
+    load() {
+        const data = this.store.read(Mempool.STORE_KEY);
+        // A missing or empty file is an empty mempool
+        return data === null ? [] : Mempool.migrate(data, this.logger);
+    }
+
+    /**
+     * Creates a mempool entry.
+     * @param {Transaction} transaction - The transaction.
+     * @param {Object} witness - The witness of the transaction.
+     * @param {number} [addedAt] - The time the transaction was added, now if omitted.
+     * @returns {{transaction: Object, witness: Object, addedAt: number}} The entry, with the transaction hash stored next to its fields.
+     */
+    static createEntry(transaction, witness, addedAt = Date.now()) {
+        return { transaction: { ...transaction, hash: transaction.calculateHash() }, witness: witness, addedAt: addedAt };
+    }
+
+    /**
+     * Converts the content of a mempool file of any version to the current entries.
+     * - Version 2: `{version: 2, entries: [{transaction, witness, addedAt}]}`
+     * - Version 1: `{transactions, signatures}`, two arrays matched by position
+     * - Version 0: a bare array of transactions, stored without their witnesses
+     * An old entry that can never be mined (no witness or hash, or an address of the old format) is dropped,
+     * with the reason logged as a warning.
+     * @param {Object|Array} data - The parsed content of the file.
+     * @param {Object} [logger] - The logger of the dropped entries (see logger.js), info and above to stdout if omitted.
+     * @returns {Array<Object>} The entries that can still be mined.
+     * @throws {Error} If the file has an unknown version.
+     */
+    static migrate(data, logger = new ConsoleLogger()) {
+        let version;
+        let entries;
+        const addedAt = Date.now();
+        if (Array.isArray(data)) {
+            version = 0;
+            entries = data.map(transaction => ({ transaction: transaction, witness: null, addedAt: addedAt }));
+        } else if (data.version === undefined && Array.isArray(data.transactions)) {
+            version = 1;
+            const signatures = Array.isArray(data.signatures) ? data.signatures : [];
+            entries = data.transactions.map((transaction, index) => ({ transaction: transaction, witness: signatures[index] || null, addedAt: addedAt }));
+        } else if (data.version === Mempool.VERSION && Array.isArray(data.entries)) {
+            return data.entries;
+        } else {
+            throw new Error("Unsupported mempool file version " + data.version);
+        }
+
+        return entries.filter((entry, index) => {
+            const failure = Mempool.getMigrationFailure(entry);
+            if (failure !== null) {
+                logger.warn(`Dropped pending transaction ${index} of the version ${version} mempool file: ${failure}`);
+            }
+            return failure === null;
+        });
+    }
+
+    // Helper to tell why an entry of an old mempool file can never be mined, null if it can
+    static getMigrationFailure({ transaction, witness }) {
+        if (transaction === null || typeof transaction !== 'object') {
+            return "it is not a transaction";
+        }
+        for (const field of ['fromAddress', 'toAddress']) {
+            if (!isValidAddress(transaction[field])) {
+                return `${field} ${transaction[field]} is not a valid address`;
+            }
+        }
+        if (witness === null) {
+            return "it has no witness";
+        }
+        if (typeof transaction.hash !== 'string') {
+            return "it has no hash";
+        }
+        return null;
+    }
+
+    /**
+     * Returns the pending transactions.
+     * @returns {Array<Object>} The entries, in the order they were added.
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * Drops the expired entries.
+     * An entry expires with every later transaction of the same sender, which could never be mined without it.
+     * @param {number} [now] - The current time, Date.now() if omitted.
+     * @returns {Array<Object>} The dropped entries.
+     */
+    expire(now = Date.now()) {
+        // Find the lowest expired nonce of each sender
+        const expiredFrom = new Map();
+        for (const { transaction, addedAt } of this.entries) {
+            if (now - addedAt >= this.expiryTime) {
+                const nonce = expiredFrom.has(transaction.fromAddress) ? expiredFrom.get(transaction.fromAddress) : Infinity;
+                expiredFrom.set(transaction.fromAddress, Math.min(nonce, transaction.nonce));
+            }
+        }
+        const isExpired = ({ transaction }) => expiredFrom.has(transaction.fromAddress) && transaction.nonce >= expiredFrom.get(transaction.fromAddress);
+
+        const expired = this.entries.filter(isExpired);
+        if (expired.length > 0) {
+            this.save(this.entries.filter(entry => !isExpired(entry)));
+        }
+        return expired;
+    }
+
+    /**
+     * Replaces the pending transactions, in memory and in the store.
+     * @param {Array<Object>} entries - The entries.
+     */
+    save(entries) {
+        this.store.write(Mempool.STORE_KEY, { version: Mempool.VERSION, entries: entries });
+        this.entries = entries;
+    }
+
+    /**
+     * Retrieves the pending transactions.
+     * @returns {Array<Object>} The stored transactions, with their hash.
+     */
+    getTransactions() {
+        return this.getEntries().map(entry => entry.transaction);
+    }
+
+    /**
+     * Checks whether a transaction is pending.
+     * @param {string} hash - The hash of the transaction.
+     * @returns {boolean} True if the transaction is in the mempool, false otherwise.
+     */
+    has(hash) {
+        return this.getEntries().some(entry => entry.transaction.hash === hash);
+    }
+
+    /**
+     * Finds the pending transaction of a sender with a nonce.
+     * @param {string} fromAddress - The sender's address.
+     * @param {number} nonce - The nonce.
+     * @returns {Object|null} The entry, or null if there is none.
+     */
+    find(fromAddress, nonce) {
+        return this.getEntries().find(({ transaction }) => transaction.fromAddress === fromAddress && transaction.nonce === nonce) || null;
+    }
+
+    /**
+     * Adds a transaction and its witness, replacing the pending transaction with the same sender and nonce.
+     * The replacement must raise both the max fee and the tip by at least Mempool.FEE_BUMP_PERCENT (and at least 1 coin).
+     * When the mempool is full, the lowest paying transaction is evicted, if the new one pays more.
+     * Only the last pending transaction of a sender can be evicted, so no nonce gap is left behind.
+     * @param {Transaction} transaction - The validated transaction.
+     * @param {Object} witness - Its witness.
+     * @param {number} baseFee - The base fee of the next block, the fees are compared by the tip they pay at this base fee.
+     * @returns {Object|null} The replaced entry, or null if the transaction did not replace one.
+     * @throws {Error} If the replacement fee is too low, or the mempool is full of transactions paying more.
+     */
+    add(transaction, witness, baseFee) {
+        // Expired transactions do not take room or block a nonce
+        this.expire();
+        let entries = this.getEntries();
+        const entry = Mempool.createEntry(transaction, witness);
+
+        const replaced = entries.find(({ transaction: tx }) => tx.fromAddress === transaction.fromAddress && tx.nonce === transaction.nonce) || null;
+        if (replaced !== null) {
+            const minMaxFee = Mempool.getReplacementFee(replaced.transaction.maxFeePerGas);
+            const minTip = Mempool.getReplacementFee(replaced.transaction.maxPriorityFee);
+            if (transaction.maxFeePerGas < minMaxFee || transaction.maxPriorityFee < minTip) {
+                throw new Error(`Replacement transaction underpriced: a max fee of at least ${minMaxFee} and a tip of at least ${minTip} are needed to replace ${replaced.transaction.hash}`);
+            }
+            // The replacement takes the place of the old transaction
+            entries = entries.map(existing => existing === replaced ? entry : existing);
+        } else {
+            if (entries.length >= this.maxSize) {
+                entries = this.evict(entries, transaction, baseFee);
+            }
+            entries.push(entry);
+        }
+
+        this.save(entries);
+        return replaced;
+    }
+
+    // Helper to make room for a transaction, by evicting the lowest paying last transaction of another sender
+    evict(entries, transaction, baseFee) {
+        // The tip at the base fee, as Transaction.getEffectiveTip computes it for the stored transactions
+        const getTip = tx => Math.max(Math.min(tx.maxPriorityFee, tx.maxFeePerGas - baseFee), 0);
+        const tip = transaction.getEffectiveTip(baseFee);
+
+        // Only the highest nonce of each sender can go, and not the one the new transaction follows
+        const lastOfSender = new Map();
+        for (const entry of entries) {
+            if (entry.transaction.fromAddress === transaction.fromAddress) continue;
+            const last = lastOfSender.get(entry.transaction.fromAddress);
+            if (!last || entry.transaction.nonce > last.transaction.nonce) {
+                lastOfSender.set(entry.transaction.fromAddress, entry);
+            }
+        }
+
+        let lowest = null;
+        for (const entry of lastOfSender.values()) {
+            if (lowest === null || getTip(entry.transaction) < getTip(lowest.transaction)) {
+                lowest = entry;
+            }
+        }
+
+        if (lowest === null || getTip(lowest.transaction) >= tip) {
+            throw new Error(`Mempool is full (${this.maxSize} transactions) and every evictable transaction pays a tip of at least ${tip}`);
+        }
+        return entries.filter(entry => entry !== lowest);
+    }
+
+    /**
+     * Calculates the lowest fee that can replace a fee.
+     * @param {number} fee - The fee of the pending transaction.
+     * @returns {number} The fee raised by Mempool.FEE_BUMP_PERCENT, and by at least 1 coin.
+     */
+    static getReplacementFee(fee) {
+        return fee + Math.max(Math.ceil(fee * Mempool.FEE_BUMP_PERCENT / 100), 1);
+    }
+
+    /**
+     * Removes transactions, once they are mined.
+     * @param {Array<string>} hashes - The hashes of the transactions to remove.
+     */
+    remove(hashes) {
+        const removed = new Set(hashes);
+        this.save(this.getEntries().filter(entry => !removed.has(entry.transaction.hash)));
+    }
+}
+
+// The version of the mempool file format
+Mempool.VERSION = 2;
+// The name of the mempool file in the store
+Mempool.STORE_KEY = 'transactions.json';
+// The default maximum number of pending transactions
+Mempool.MAX_SIZE = 1000;
+// The default time after which a pending transaction expires (3 hours)
+Mempool.EXPIRY_TIME = 3 * 60 * 60 * 1000;
+// The percentage a replacement must raise the fees by
+Mempool.FEE_BUMP_PERCENT = 10;
+
+module.exports.Mempool = Mempool;
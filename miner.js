@@ -0,0 +1,140 @@
+// Importing required libraries
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * Represents a proof-of-work miner that splits the nonce space across worker threads.
+ * The header is serialized once and every worker hashes it in memory with its own nonces
+ * (worker i tries the nonces i, i + threads, i + 2 * threads, ...), and the nonce that
+ * solves the block is written back to the block once, at the end.
+ * Mining can be aborted at any time, for example when a competing block arrives.
+ * A 'progress' event is emitted every Miner.PROGRESS_INTERVAL with the hashes tried so far and the hashrate.
+ */
+class Miner extends EventEmitter {
+    /**
+     * Creates a new Miner.
+     * @param {number} [threads] - The number of worker threads, the number of CPUs if omitted.
+     */
+    constructor(threads = os.availableParallelism()) {
+        super();
+        if (!Number.isInteger(threads) || threads < 1) {
+            throw new Error("A miner needs at least 1 thread, got " + threads);
+        }
+        this.threads = threads;
+        // Stops the current mining job, null while the miner is idle
+        this.stop = null;
+    }
+
+    /**
+     * Checks whether the miner is working on a block.
+     * @returns {boolean} True while a block is being mined, false otherwise.
+     */
+    isMining() {
+        return this.stop !== null;
+    }
+
+    /**
+     * Mines a block: finds a nonce whose header hash meets the block's difficulty.
+     * @param {Block} block - The block to mine, with its final header apart from the nonce. The search starts at its nonce.
+     * @returns {Promise<{nonce: number, hash: string, hashes: number, elapsed: number, hashrate: number}|null>} The nonce and hash
+     * written back to the block, the number of hashes tried, the time it took (ms) and the hashrate (hashes per second),
+     * or null if mining was aborted.
+     * @throws {Error} If the miner is already mining a block.
+     */
+    mine(block) {
+        if (this.isMining()) {
+            throw new Error("The miner is already mining a block");
+        }
+
+        const { prefix, suffix, target } = block.getHashingTemplate();
+        const startTime = Date.now();
+        let hashes = 0;
+        const getStats = () => {
+            const elapsed = Date.now() - startTime;
+            return { hashes: hashes, elapsed: elapsed, hashrate: elapsed > 0 ? Math.round(hashes * 1000 / elapsed) : 0 };
+        };
+
+        return new Promise((resolve, reject) => {
+            const workers = [];
+            const progressTimer = setInterval(() => this.emit('progress', getStats()), Miner.PROGRESS_INTERVAL);
+
+            // Stops every worker and settles the promise, only the first call counts
+            // (a worker of an aborted job can still deliver a message)
+            let done = false;
+            const finish = (result, error = null) => {
+                if (done) return;
+                done = true;
+                this.stop = null;
+                clearInterval(progressTimer);
+                for (const worker of workers) {
+                    worker.terminate();
+                }
+                if (error !== null) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            this.stop = () => finish(null);
+
+            for (let i = 0; i < this.threads; i++) {
+                const worker = new Worker(__filename, {
+                    workerData: { prefix: prefix, suffix: suffix, target: target, start: block.nonce + i, step: this.threads }
+                });
+                worker.on('message', message => {
+                    hashes += message.hashes;
+                    if (message.type === 'found' && !done) {
+                        // Write the nonce back once, the block hash is recomputed from the full header
+                        block.nonce = message.nonce;
+                        block.hash = block.calculateHash();
+                        finish({ nonce: block.nonce, hash: block.hash, ...getStats() });
+                    }
+                });
+                worker.on('error', error => finish(null, error));
+                workers.push(worker);
+            }
+        });
+    }
+
+    /**
+     * Aborts the current mining job: its promise resolves with null and the block is left unchanged.
+     * Does nothing if the miner is idle.
+     */
+    abort() {
+        if (this.stop !== null) {
+            this.stop();
+        }
+    }
+}
+
+// The number of hashes a worker tries between two progress messages
+Miner.BATCH_SIZE = 10000;
+// The time between two progress events (1 second)
+Miner.PROGRESS_INTERVAL = 1000;
+
+// Helper run in each worker thread: tries every step-th nonce from start until one meets the target
+function runWorker({ prefix, suffix, target, start, step }) {
+    let hashes = 0;
+    for (let nonce = start; ; nonce += step) {
+        const hash = crypto.createHash('sha256').update(prefix + nonce + suffix).digest('hex');
+        hashes++;
+
+        // Hex strings of the same length compare like the numbers they encode
+        if (hash <= target) {
+            parentPort.postMessage({ type: 'found', nonce: nonce, hashes: hashes });
+            return;
+        }
+        if (hashes === Miner.BATCH_SIZE) {
+            parentPort.postMessage({ type: 'progress', hashes: hashes });
+            hashes = 0;
+        }
+    }
+}
+
+if (!isMainThread) {
+    runWorker(workerData);
+}
+
+module.exports.Miner = Miner;
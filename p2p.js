@@ -0,0 +1,430 @@
+// Importing required libraries
+const net = require('net');
+const path = require('path');
+const { Block, Transaction, BlockChain, FullWallet } = require('./blockchain.js');
+const { FileStore, getDefaultDataDir } = require('./storage.js');
+const { Miner } = require('./miner.js');
+const { ConsoleLogger } = require('./logger.js');
+const { Explorer } = require('./explorer.js');
+
+/**
+ * Represents a connection to another node.
+ */
+class Peer {
+    /**
+     * Creates a new Peer.
+     * @param {net.Socket} socket - The TCP socket of the connection.
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.id = socket.remoteAddress + ':' + socket.remotePort;
+        // The peer can only send transactions and blocks after the handshake
+        this.ready = false;
+        // The height of the peer's chain, as announced in the handshake
+        this.height = 0;
+        // Incoming data that does not yet form a full message
+        this.buffer = '';
+    }
+
+    /**
+     * Sends a message to the peer.
+     * @param {Object} message - The message, sent as one line of JSON.
+     */
+    send(message) {
+        this.socket.write(JSON.stringify(message) + '\n');
+    }
+}
+
+/**
+ * Represents a node of the network.
+ * A node wraps a blockchain and a full wallet, and talks to other nodes over TCP
+ * with newline-delimited JSON messages:
+ * - hello: the handshake, with the chain ID, genesis hash and height of the node
+ * - tx: a new signed transaction, relayed to every other peer
+ * - block: a newly mined block and its signatures, relayed to every other peer
+ * - getBlocks / blocks: requests and sends the blocks after the last block both nodes share, to sync missing blocks
+ */
+class Node {
+    /**
+     * Creates a new Node.
+     * @param {FullWallet} wallet - The full wallet of the node, used to send transactions and mine.
+     * @param {number} [port=6001] - The port the node listens on.
+     * @param {string} [host='127.0.0.1'] - The host the node listens on.
+     */
+    constructor(wallet, port = 6001, host = '127.0.0.1') {
+        this.wallet = wallet;
+        this.blockchain = wallet.blockchain;
+        this.port = port;
+        this.host = host;
+        this.peers = new Set();
+        this.server = null;
+        // The miner of startMining, null while the node does not mine in worker threads
+        this.miner = null;
+        // The node logs to the logger of its blockchain
+        this.logger = this.blockchain.logger;
+
+        this.blockchain.on('reorg', ({ detached, attached }) => {
+            this.logger.debug(`Switched to a heavier branch: detached ${detached.map(block => block.hash).join(', ')}, attached ${attached.map(block => block.hash).join(', ')}`);
+        });
+    }
+
+    /**
+     * Starts listening for connections from other nodes.
+     * @returns {Promise<void>} Resolves once the node is listening.
+     */
+    start() {
+        this.server = net.createServer(socket => this.addPeer(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.logger.info(`Node listening on ${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the node and closes all connections.
+     * @returns {Promise<void>} Resolves once the server is closed.
+     */
+    stop() {
+        this.stopMining();
+        for (const peer of this.peers) {
+            peer.socket.destroy();
+        }
+        this.peers.clear();
+
+        if (this.server === null) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Connects to another node.
+     * @param {number} port - The port of the other node.
+     * @param {string} [host='127.0.0.1'] - The host of the other node.
+     * @returns {Promise<Peer>} Resolves with the peer once connected.
+     */
+    connect(port, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(port, host, () => {
+                socket.removeListener('error', reject);
+                resolve(this.addPeer(socket));
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    // Helper to register a new connection and start the handshake
+    addPeer(socket) {
+        const peer = new Peer(socket);
+        this.peers.add(peer);
+
+        socket.setEncoding('utf-8');
+        socket.on('data', data => this.receiveData(peer, data));
+        socket.on('close', () => this.peers.delete(peer));
+        socket.on('error', error => this.logger.warn(`Connection to ${peer.id} failed: ${error.message}`));
+
+        // Both sides introduce themselves
+        peer.send(this.createHello());
+        return peer;
+    }
+
+    // Helper to build the handshake message
+    createHello() {
+        return {
+            type: 'hello',
+            chainId: this.blockchain.chainId,
+            genesisHash: this.blockchain.chain[0].hash,
+            height: this.blockchain.chain.length,
+            port: this.port
+        };
+    }
+
+    // Helper to split the incoming data into messages (one JSON message per line)
+    receiveData(peer, data) {
+        peer.buffer += data;
+
+        let newlineIndex;
+        while ((newlineIndex = peer.buffer.indexOf('\n')) !== -1) {
+            const line = peer.buffer.slice(0, newlineIndex);
+            peer.buffer = peer.buffer.slice(newlineIndex + 1);
+            if (line.trim() === '') continue;
+
+            try {
+                this.handleMessage(peer, JSON.parse(line));
+            } catch (error) {
+                this.logger.warn(`Rejected message from ${peer.id}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Handles a message from a peer.
+     * @param {Peer} peer - The peer that sent the message.
+     * @param {Object} message - The message.
+     */
+    handleMessage(peer, message) {
+        if (message.type === 'hello') {
+            this.handleHello(peer, message);
+            return;
+        }
+
+        // Ignore everything until the handshake is done
+        if (!peer.ready) {
+            throw new Error(`${message.type} message before handshake`);
+        }
+
+        switch (message.type) {
+            case 'tx':
+                this.handleTransaction(peer, message);
+                break;
+            case 'block':
+                this.handleBlock(peer, message);
+                break;
+            case 'getBlocks':
+                this.handleGetBlocks(peer, message);
+                break;
+            case 'blocks':
+                this.handleBlocks(peer, message);
+                break;
+            default:
+                throw new Error(`unknown message type ${message.type}`);
+        }
+    }
+
+    // Helper to check the handshake of a peer and sync the blocks we are missing
+    handleHello(peer, message) {
+        // Only talk to nodes of the same network
+        if (message.chainId !== this.blockchain.chainId || message.genesisHash !== this.blockchain.chain[0].hash) {
+            this.logger.warn(`Disconnecting ${peer.id}: different network`);
+            peer.socket.destroy();
+            return;
+        }
+
+        peer.ready = true;
+        peer.height = message.height;
+        this.logger.info(`Connected to peer ${peer.id} (height ${peer.height})`);
+
+        // Ask for the blocks the peer has and we don't
+        if (peer.height > this.blockchain.chain.length) {
+            this.requestBlocks(peer);
+        }
+    }
+
+    // Helper to ask a peer for the blocks after the last block we share with it
+    requestBlocks(peer) {
+        // The hashes of our chain, latest first (the whole list is fine for a small chain)
+        const locator = this.blockchain.chain.map(block => block.hash).reverse();
+        peer.send({ type: 'getBlocks', locator: locator });
+    }
+
+    // Helper to add a transaction announced by a peer and relay it
+    handleTransaction(peer, message) {
+        const transaction = Transaction.fromJSON(message.transaction);
+
+        // Known or invalid transactions are rejected here, so they are not relayed again
+        this.blockchain.addSignedTransaction(transaction, message.signature);
+        this.logger.info(`Received transaction ${transaction.calculateHash()} from ${peer.id}`);
+
+        this.broadcast(message, peer);
+    }
+
+    // Helper to add a block announced by a peer and relay it
+    handleBlock(peer, message) {
+        const block = Block.fromJSON(message.block);
+
+        // A block whose parent we don't know means we are missing blocks
+        if (!this.blockchain.blockIndex.has(block.previousHash)) {
+            this.requestBlocks(peer);
+            return;
+        }
+
+        if (this.blockchain.addBlock(block, message.signatures)) {
+            this.logger.info(`Received block ${block.hash} from ${peer.id}`);
+            this.broadcast(message, peer);
+        }
+    }
+
+    // Helper to send the blocks a peer is missing, after the latest block of its locator that is in our chain
+    handleGetBlocks(peer, message) {
+        const forkHeight = Math.max(...message.locator.map(hash => this.blockchain.chain.findIndex(block => block.hash === hash)));
+        const blocks = this.blockchain.chain.slice(forkHeight + 1).map(block => this.createBlockMessage(block));
+        peer.send({ type: 'blocks', blocks: blocks });
+    }
+
+    // Helper to add the blocks received after a getBlocks request
+    handleBlocks(peer, message) {
+        let added = 0;
+        for (const blockMessage of message.blocks) {
+            const block = Block.fromJSON(blockMessage.block);
+            if (this.blockchain.addBlock(block, blockMessage.signatures)) {
+                added++;
+            }
+        }
+
+        if (added > 0) {
+            this.logger.info(`Synced ${added} blocks from ${peer.id}, height is now ${this.blockchain.chain.length}`);
+        }
+    }
+
+    // Helper to build the message announcing a block
+    createBlockMessage(block) {
+        return {
+            type: 'block',
+            block: block.toJSON(),
+            signatures: this.blockchain.getBlockSignatures(block.hash) || []
+        };
+    }
+
+    /**
+     * Sends a message to every connected peer.
+     * @param {Object} message - The message to send.
+     * @param {Peer} [exceptPeer] - A peer that should not get the message (the one it came from).
+     */
+    broadcast(message, exceptPeer = null) {
+        for (const peer of this.peers) {
+            if (peer !== exceptPeer && peer.ready) {
+                peer.send(message);
+            }
+        }
+    }
+
+    /**
+     * Creates a transaction from the node's wallet and announces it to the network.
+     * @param {string} toAddress - The recipient's address.
+     * @param {number} amount - The amount to transfer.
+     * @param {number} [maxPriorityFee] - The tip for the miner.
+     * @param {number} [maxFeePerGas] - The max fee.
+     */
+    sendTransaction(toAddress, amount, maxPriorityFee, maxFeePerGas) {
+        const transaction = this.wallet.makeTransaction(toAddress, amount, maxPriorityFee, maxFeePerGas);
+
+        // Signatures are deterministic, so this is the signature stored in the mempool
+        const signature = this.wallet.signTransaction(transaction);
+        this.broadcast({ type: 'tx', transaction: transaction, signature: signature });
+    }
+
+    /**
+     * Mines a block with the pending transactions and announces it to the network.
+     * @returns {Block} The newly mined block.
+     */
+    mine() {
+        const block = this.wallet.minePendingTransactions();
+        this.broadcast(this.createBlockMessage(block));
+        return block;
+    }
+
+    /**
+     * Mines blocks one after another in worker threads and announces each to the network, until `stopMining`.
+     * The current block is dropped and mining starts over when a block from a peer arrives or the mempool changes.
+     * @param {number} [threads] - The number of worker threads, the number of CPUs if omitted.
+     * @returns {Promise<void>} Resolves once mining is stopped.
+     */
+    async startMining(threads) {
+        if (this.miner !== null) {
+            throw new Error("The node is already mining");
+        }
+
+        const miner = new Miner(threads);
+        this.miner = miner;
+        miner.on('progress', ({ hashrate }) => this.logger.debug(`Mining at ${hashrate} H/s`));
+
+        try {
+            while (this.miner === miner) {
+                const block = await this.wallet.minePendingTransactionsAsync(miner);
+                if (block !== null) {
+                    this.broadcast(this.createBlockMessage(block));
+                }
+            }
+        } finally {
+            // A failing worker stops mining too
+            if (this.miner === miner) {
+                this.miner = null;
+            }
+        }
+    }
+
+    /**
+     * Stops mining in worker threads, the block being mined is dropped.
+     */
+    stopMining() {
+        if (this.miner !== null) {
+            const miner = this.miner;
+            this.miner = null;
+            miner.abort();
+        }
+    }
+}
+
+// Helper to read the value of a command line option
+function getOption(args, name, defaultValue) {
+    const index = args.indexOf('--' + name);
+    return index === -1 ? defaultValue : args[index + 1];
+}
+
+/**
+ * Runs a node from the command line:
+ * node p2p.js --port 6001 --data-dir ./node1 --key <private key> [--peers 6002,6003] [--mine-interval 5000 | --threads 4] [--explorer-port 8080] [--log-level debug]
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const port = Number(getOption(args, 'port', 6001));
+    const dataDir = path.resolve(getOption(args, 'data-dir', path.join(getDefaultDataDir(), 'node-' + port)));
+    const privateKey = getOption(args, 'key');
+    const peers = getOption(args, 'peers', '').split(',').filter(peer => peer !== '');
+    const mineInterval = Number(getOption(args, 'mine-interval', 0));
+    const threads = getOption(args, 'threads');
+    const explorerPort = getOption(args, 'explorer-port');
+    const logLevel = getOption(args, 'log-level', 'info');
+
+    if (!privateKey) {
+        console.log('Usage: node p2p.js --port <port> --key <private key> [--data-dir <dir>] [--peers <port,host:port>] [--mine-interval <ms> | --threads <n>] [--explorer-port <port>] [--log-level <level>]');
+        process.exit(1);
+    }
+
+    // Every node keeps its chain, mempool and signatures in its own directory
+    const wallet = new FullWallet(privateKey, new BlockChain(new FileStore(dataDir), null, new ConsoleLogger(logLevel)));
+    const node = new Node(wallet, port);
+    await node.start();
+
+    // Optionally serve the block explorer of the node's chain
+    const explorer = explorerPort === undefined ? null : new Explorer(wallet.blockchain, Number(explorerPort));
+    if (explorer !== null) {
+        await explorer.start();
+    }
+
+    for (const peer of peers) {
+        const [host, peerPort] = peer.includes(':') ? peer.split(':') : ['127.0.0.1', peer];
+        try {
+            await node.connect(Number(peerPort), host);
+        } catch (error) {
+            node.logger.warn(`Could not connect to ${peer}: ${error.message}`);
+        }
+    }
+
+    // Optionally mine a block at a fixed interval, or mine continuously in worker threads
+    if (mineInterval > 0) {
+        // A failed block (a full disk, a store error) is logged, the next interval tries again
+        setInterval(() => {
+            try {
+                node.mine();
+            } catch (error) {
+                node.logger.error(`Mining failed: ${error.message}`);
+            }
+        }, mineInterval);
+    } else if (threads !== undefined) {
+        node.startMining(Number(threads)).catch(error => node.logger.error(`Mining stopped: ${error.message}`));
+    }
+
+    // Stop cleanly on Ctrl+C
+    process.on('SIGINT', () => Promise.all([node.stop(), explorer !== null ? explorer.stop() : null]).then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports.Node = Node;
+module.exports.Peer = Peer;
@@ -0,0 +1,403 @@
+// Importing required libraries
+const http = require('http');
+const path = require('path');
+const { Transaction, BlockChain, FullWallet } = require('./blockchain.js');
+const { FileStore, getDefaultDataDir } = require('./storage.js');
+const { ConsoleLogger } = require('./logger.js');
+const { isValidAddress } = require('./address.js');
+
+/**
+ * Represents a JSON-RPC error, returned to the client as `{code, message, data}`.
+ */
+class RpcError extends Error {
+    /**
+     * Creates a new RpcError.
+     * @param {number} code - The JSON-RPC error code.
+     * @param {string} message - A short description of the error.
+     * @param {*} [data] - Extra information about the error.
+     */
+    constructor(code, message, data) {
+        super(message);
+        this.code = code;
+        this.data = data;
+    }
+}
+
+// Standard JSON-RPC 2.0 error codes, and the server error code for rejected requests
+RpcError.PARSE_ERROR = -32700;
+RpcError.INVALID_REQUEST = -32600;
+RpcError.METHOD_NOT_FOUND = -32601;
+RpcError.INVALID_PARAMS = -32602;
+RpcError.INTERNAL_ERROR = -32603;
+RpcError.REJECTED = -32000;
+RpcError.NOT_FOUND = -32001;
+
+/**
+ * Represents a local HTTP JSON-RPC 2.0 server around a full wallet node.
+ * Requests are POSTed to `/` as `{"jsonrpc": "2.0", "id": 1, "method": "getBalance", "params": ["<address>"]}`.
+ * A call without an `id` is a notification and gets no response, and a batch of calls gets an array of responses.
+ * Methods:
+ * - sendRawTransaction(transaction, witness): submits a signed transaction and its witness `{publicKey, signature}`
+ *   (`{redeemScript, signatures}` for a multisig sender, `{script, signatures, preimage}` for a script sender), returns its hash
+ * - getBalance(address) / getNonce(address): the balance and next nonce of an address
+ * - getBlockCount(): the number of blocks in the chain
+ * - getBlock(heightOrHash): a block with its signatures
+ * - getTransaction(hash): a mined or pending transaction
+ * - getMempool(): the pending transactions
+ * - mine(): mines a block with the pending transactions, returns its header
+ * - getMerkleProof(txHash): the block header and Merkle proof of a transaction
+ * - getAccountProof(address): the latest block header and the balance, nonce and Merkle proof of an account
+ * - getSupplyStats(height): the mined, burned, circulating and remaining coins at a height, the latest block if omitted
+ */
+class RpcServer {
+    /**
+     * Creates a new RpcServer.
+     * @param {FullWallet} wallet - The full wallet of the node. Mined blocks reward this wallet.
+     * @param {number} [port=8545] - The port the server listens on.
+     * @param {string} [host='127.0.0.1'] - The host the server listens on.
+     * @param {Node|null} [node=null] - The peer-to-peer node, to announce new transactions and blocks to the network.
+     */
+    constructor(wallet, port = 8545, host = '127.0.0.1', node = null) {
+        this.wallet = wallet;
+        this.blockchain = wallet.blockchain;
+        this.port = port;
+        this.host = host;
+        this.node = node;
+        this.server = null;
+
+        // The methods that can be called, by name
+        this.methods = {
+            sendRawTransaction: (transaction, signature) => this.sendRawTransaction(transaction, signature),
+            getBalance: address => this.blockchain.getBalanceOfAddress(requireString(address, 'address')),
+            getNonce: address => this.blockchain.getNonce(requireString(address, 'address')),
+            getBlockCount: () => this.blockchain.chain.length,
+            getBlock: heightOrHash => this.getBlock(heightOrHash),
+            getTransaction: hash => this.getTransaction(requireString(hash, 'hash')),
+            getMempool: () => this.blockchain.getPendingTransactions(),
+            mine: () => this.mine(),
+            getMerkleProof: txHash => this.getMerkleProof(requireString(txHash, 'txHash')),
+            getAccountProof: address => this.getAccountProof(requireString(address, 'address')),
+            getSupplyStats: height => this.getSupplyStats(height)
+        };
+    }
+
+    /**
+     * Starts the HTTP server.
+     * @returns {Promise<void>} Resolves once the server is listening.
+     */
+    start() {
+        this.server = http.createServer((request, response) => this.handleHttpRequest(request, response));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.blockchain.logger.info(`JSON-RPC server listening on http://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the HTTP server.
+     * @returns {Promise<void>} Resolves once the server is closed.
+     */
+    stop() {
+        if (this.server === null) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Helper to read the body of an HTTP request and send back the JSON-RPC response
+    handleHttpRequest(request, response) {
+        if (request.method !== 'POST') {
+            response.writeHead(405, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(createErrorResponse(null, new RpcError(RpcError.INVALID_REQUEST, 'Only POST requests are supported'))));
+            return;
+        }
+
+        let body = '';
+        request.setEncoding('utf-8');
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            const result = this.handleBody(body);
+            if (result === null) {
+                // Only notifications, nothing to send back
+                response.writeHead(204);
+                response.end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(result));
+        });
+    }
+
+    /**
+     * Handles the body of a JSON-RPC request: a single call or a batch of calls.
+     * @param {string} body - The JSON body of the request.
+     * @returns {Object|Array<Object>|null} The JSON-RPC response(s), or null if the body only has notifications.
+     */
+    handleBody(body) {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            return createErrorResponse(null, new RpcError(RpcError.PARSE_ERROR, 'Invalid JSON'));
+        }
+
+        if (Array.isArray(payload)) {
+            if (payload.length === 0) {
+                return createErrorResponse(null, new RpcError(RpcError.INVALID_REQUEST, 'Empty batch'));
+            }
+            // Notifications have no response, and a batch of notifications none at all
+            const responses = payload.map(call => this.handleCall(call)).filter(response => response !== null);
+            return responses.length > 0 ? responses : null;
+        }
+        return this.handleCall(payload);
+    }
+
+    /**
+     * Handles a single JSON-RPC call.
+     * A valid call without an `id` member is a notification: it is run, but even its errors are not sent back.
+     * @param {Object} call - The call, with method, params and id.
+     * @returns {Object|null} The JSON-RPC response, with a result or an error, or null for a notification.
+     */
+    handleCall(call) {
+        const id = call && call.id !== undefined ? call.id : null;
+
+        // A malformed call is answered even without an id, the client cannot know it was not run otherwise
+        if (!call || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+            return createErrorResponse(id, new RpcError(RpcError.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request'));
+        }
+        const notification = !Object.prototype.hasOwnProperty.call(call, 'id');
+
+        try {
+            const method = this.methods[call.method];
+            if (!Object.prototype.hasOwnProperty.call(this.methods, call.method)) {
+                throw new RpcError(RpcError.METHOD_NOT_FOUND, `Method ${call.method} not found`);
+            }
+
+            const params = call.params === undefined ? [] : call.params;
+            if (!Array.isArray(params)) {
+                throw new RpcError(RpcError.INVALID_PARAMS, 'Params must be an array');
+            }
+
+            const result = method(...params);
+            return notification ? null : { jsonrpc: '2.0', id: id, result: result };
+        } catch (error) {
+            return notification ? null : createErrorResponse(id, error);
+        }
+    }
+
+    // Helper to add a signed transaction from a client and announce it to the network
+    sendRawTransaction(transactionData, signature) {
+        const transaction = requireTransaction(transactionData);
+        requireWitness(signature);
+
+        try {
+            this.blockchain.addSignedTransaction(transaction, signature);
+        } catch (error) {
+            throw new RpcError(RpcError.REJECTED, 'Transaction rejected', error.message);
+        }
+
+        if (this.node !== null) {
+            this.node.broadcast({ type: 'tx', transaction: transaction, signature: signature });
+        }
+        return transaction.calculateHash();
+    }
+
+    // Helper to return a block of the chain with its height and signatures
+    getBlock(heightOrHash) {
+        if (typeof heightOrHash !== 'number' && typeof heightOrHash !== 'string') {
+            throw new RpcError(RpcError.INVALID_PARAMS, 'heightOrHash must be a number or a string');
+        }
+
+        const block = this.blockchain.getBlock(heightOrHash);
+        if (block === null) {
+            throw new RpcError(RpcError.NOT_FOUND, `Block ${heightOrHash} not found`);
+        }
+
+        return {
+            height: this.blockchain.chain.indexOf(block),
+            ...block.toJSON(),
+            signatures: this.blockchain.getBlockSignatures(block.hash) || []
+        };
+    }
+
+    // Helper to return a mined transaction with its block, or a pending transaction
+    getTransaction(hash) {
+        const transaction = this.blockchain.searchTransaction(hash);
+        if (transaction !== null) {
+            const block = this.blockchain.findBlockOfTransaction(hash);
+            return {
+                transaction: transaction,
+                blockHash: block.hash,
+                blockHeight: this.blockchain.chain.indexOf(block),
+                pending: false
+            };
+        }
+
+        const pending = this.blockchain.getPendingTransactions().find(tx => tx.hash === hash);
+        if (pending) {
+            return { transaction: pending, blockHash: null, blockHeight: null, pending: true };
+        }
+
+        throw new RpcError(RpcError.NOT_FOUND, `Transaction ${hash} not found`);
+    }
+
+    // Helper to mine a block, announce it to the network and return its header
+    mine() {
+        const block = this.node !== null ? this.node.mine() : this.wallet.minePendingTransactions();
+        return { height: this.blockchain.chain.indexOf(block), ...block.getHeader() };
+    }
+
+    // Helper to return the Merkle proof of a mined transaction
+    getMerkleProof(txHash) {
+        const proof = this.wallet.getTransactionProof(txHash);
+        if (proof === null) {
+            throw new RpcError(RpcError.NOT_FOUND, `Transaction ${txHash} is not in a block`);
+        }
+        return proof;
+    }
+
+    // Helper to return the supply stats at a height of the chain
+    getSupplyStats(height) {
+        if (height === undefined) {
+            return this.blockchain.getSupplyStats();
+        }
+        if (!Number.isInteger(height) || height < 0) {
+            throw new RpcError(RpcError.INVALID_PARAMS, 'height must be a non-negative integer');
+        }
+        if (height >= this.blockchain.chain.length) {
+            throw new RpcError(RpcError.NOT_FOUND, `Block ${height} not found`);
+        }
+        return this.blockchain.getSupplyStats(height);
+    }
+
+    // Helper to return the proof of an account against the state root of the latest block
+    getAccountProof(address) {
+        const proof = this.wallet.getAccountProof(address);
+        if (proof === null) {
+            throw new RpcError(RpcError.NOT_FOUND, `Account ${address} was never used`);
+        }
+        return proof;
+    }
+}
+
+// Helper to check that a parameter is a non-empty string
+function requireString(value, name) {
+    if (typeof value !== 'string' || value === '') {
+        throw new RpcError(RpcError.INVALID_PARAMS, `${name} must be a non-empty string`);
+    }
+    return value;
+}
+
+// Helper to check that a parameter is a hex string (an even number of hex digits)
+function isHex(value) {
+    return typeof value === 'string' && /^([0-9a-fA-F]{2})+$/.test(value);
+}
+
+// Helper to check the fields of a transaction sent by a client, before any of them reaches the blockchain
+function requireTransaction(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new RpcError(RpcError.INVALID_PARAMS, 'transaction must be an object');
+    }
+    for (const field of ['fromAddress', 'toAddress']) {
+        if (typeof data[field] !== 'string' || !isValidAddress(data[field])) {
+            throw new RpcError(RpcError.INVALID_PARAMS, `transaction.${field} must be a valid address`);
+        }
+    }
+    for (const field of ['chainId', 'timestamp']) {
+        if (!Number.isInteger(data[field])) {
+            throw new RpcError(RpcError.INVALID_PARAMS, `transaction.${field} must be an integer`);
+        }
+    }
+
+    const transaction = Transaction.fromJSON(data);
+    const failure = transaction.getFieldFailure();
+    if (failure !== null) {
+        throw new RpcError(RpcError.INVALID_PARAMS, 'transaction.' + failure);
+    }
+    return transaction;
+}
+
+// Helper to check the shape of a witness sent by a client: a signature, multisig signatures or script signatures, all hex
+function requireWitness(witness) {
+    const invalid = message => new RpcError(RpcError.INVALID_PARAMS, 'witness ' + message);
+    if (!witness || typeof witness !== 'object' || Array.isArray(witness)) {
+        throw invalid('must be an object with publicKey and signature, redeemScript and signatures, or script and signatures');
+    }
+
+    if (witness.redeemScript !== undefined) {
+        const { redeemScript, signatures } = witness;
+        if (!redeemScript || !Number.isInteger(redeemScript.m) || !Array.isArray(redeemScript.publicKeys) || !redeemScript.publicKeys.every(isHex)) {
+            throw invalid('redeemScript must have an integer m and hex publicKeys');
+        }
+        if (!Array.isArray(signatures) || !signatures.every(signature => signature === null || isHex(signature))) {
+            throw invalid('signatures must be an array of hex signatures or null');
+        }
+    } else if (witness.script !== undefined) {
+        const { script, signatures, preimage } = witness;
+        if (!script || typeof script !== 'object') {
+            throw invalid('script must be an object');
+        }
+        if (!signatures || typeof signatures !== 'object' || Array.isArray(signatures)
+            || !Object.entries(signatures).every(([publicKey, signature]) => isHex(publicKey) && isHex(signature))) {
+            throw invalid('signatures must map hex public keys to hex signatures');
+        }
+        if (preimage !== undefined && preimage !== null && !isHex(preimage)) {
+            throw invalid('preimage must be hex');
+        }
+    } else if (!isHex(witness.publicKey) || !isHex(witness.signature)) {
+        throw invalid('publicKey and signature must be hex strings');
+    }
+}
+
+// Helper to build the JSON-RPC response of an error
+function createErrorResponse(id, error) {
+    const rpcError = error instanceof RpcError
+        ? error
+        : new RpcError(RpcError.INTERNAL_ERROR, 'Internal error', error.message);
+
+    const response = { jsonrpc: '2.0', id: id, error: { code: rpcError.code, message: rpcError.message } };
+    if (rpcError.data !== undefined) {
+        response.error.data = rpcError.data;
+    }
+    return response;
+}
+
+// Helper to read the value of a command line option
+function getOption(args, name, defaultValue) {
+    const index = args.indexOf('--' + name);
+    return index === -1 ? defaultValue : args[index + 1];
+}
+
+/**
+ * Runs a JSON-RPC server from the command line:
+ * node rpc.js --key <private key> [--port 8545] [--data-dir <dir>] [--log-level debug|info|warn|error]
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const port = Number(getOption(args, 'port', 8545));
+    const dataDir = path.resolve(getOption(args, 'data-dir', getDefaultDataDir()));
+    const privateKey = getOption(args, 'key');
+    const logLevel = getOption(args, 'log-level', 'info');
+
+    if (!privateKey) {
+        console.log('Usage: node rpc.js --key <private key> [--port <port>] [--data-dir <dir>] [--log-level <level>]');
+        process.exit(1);
+    }
+
+    const blockchain = new BlockChain(new FileStore(dataDir), null, new ConsoleLogger(logLevel));
+    const server = new RpcServer(new FullWallet(privateKey, blockchain), port);
+    await server.start();
+
+    // Stop cleanly on Ctrl+C
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports.RpcServer = RpcServer;
+module.exports.RpcError = RpcError;
@@ -0,0 +1,179 @@
+// Importing required libraries
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const { hash160, base58CheckEncode, SCRIPT_ADDRESS_VERSION } = require('./address.js');
+
+// Create a new elliptic curve instance using secp256k1
+const ec = new EC('secp256k1');
+
+// The deepest nesting of all/any conditions a script can have
+const MAX_SCRIPT_DEPTH = 8;
+
+/*
+ * A locking script is a tree of conditions. Coins sent to the address of a script
+ * can only be spent by a transaction that meets the script:
+ * - {type: 'signature', publicKey}: the transaction is signed by the key
+ * - {type: 'hash', hash}: the witness reveals a preimage whose SHA256 is the hash
+ * - {type: 'after', height}: the transaction is in a block at this height or later (absolute timelock)
+ * - {type: 'older', blocks}: the transaction is in a block at least this many blocks after the one
+ *   that last funded the address, so every payment restarts the lock (relative timelock)
+ * - {type: 'all', conditions}: every condition is met
+ * - {type: 'any', conditions}: at least one condition is met
+ */
+
+/**
+ * Checks a script and puts it in its canonical form, so the same conditions always give the same address.
+ * @param {Object} script - The script.
+ * @param {number} [depth=0] - The nesting depth of the condition, for the recursion.
+ * @returns {Object} The canonical script: known fields only, in a fixed order, with compressed public keys.
+ * @throws {Error} If a condition is unknown or has an invalid field.
+ */
+function normalizeScript(script, depth = 0) {
+    if (!script || typeof script !== 'object') {
+        throw new Error("A script condition must be an object");
+    }
+
+    switch (script.type) {
+        case 'signature': {
+            let key;
+            try {
+                key = ec.keyFromPublic(script.publicKey, 'hex');
+            } catch {
+                key = null;
+            }
+            if (key === null || !key.validate().result) {
+                throw new Error("Invalid public key " + script.publicKey + " in a signature condition");
+            }
+            return { type: 'signature', publicKey: key.getPublic(true, 'hex') };
+        }
+        case 'hash':
+            if (typeof script.hash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(script.hash)) {
+                throw new Error("A hash condition needs a SHA256 hash (64 hex characters)");
+            }
+            return { type: 'hash', hash: script.hash.toLowerCase() };
+        case 'after':
+            if (!Number.isInteger(script.height) || script.height < 0) {
+                throw new Error("An after condition needs a block height (a non-negative integer)");
+            }
+            return { type: 'after', height: script.height };
+        case 'older':
+            if (!Number.isInteger(script.blocks) || script.blocks < 1) {
+                throw new Error("An older condition needs a number of blocks (a positive integer)");
+            }
+            return { type: 'older', blocks: script.blocks };
+        case 'all':
+        case 'any':
+            if (!Array.isArray(script.conditions) || script.conditions.length === 0) {
+                throw new Error(`An ${script.type} condition needs a list of conditions`);
+            }
+            if (depth >= MAX_SCRIPT_DEPTH) {
+                throw new Error(`A script can nest at most ${MAX_SCRIPT_DEPTH} all/any conditions`);
+            }
+            return { type: script.type, conditions: script.conditions.map(condition => normalizeScript(condition, depth + 1)) };
+        default:
+            throw new Error("Unknown script condition " + script.type);
+    }
+}
+
+/**
+ * Derives the address of a script: the Base58Check of the script version byte and the hash160 of the canonical script.
+ * @param {Object} script - The script.
+ * @returns {string} The script address.
+ */
+function scriptToAddress(script) {
+    return base58CheckEncode(SCRIPT_ADDRESS_VERSION, hash160(Buffer.from(JSON.stringify(normalizeScript(script)), 'utf-8')));
+}
+
+/**
+ * Hashes the preimage of a hash condition.
+ * @param {string} preimage - The preimage (hex).
+ * @returns {string} The SHA256 hash of the preimage (hex).
+ */
+function hashPreimage(preimage) {
+    return crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+}
+
+/**
+ * Checks whether a transaction meets a script.
+ * @param {Object} script - The canonical script.
+ * @param {Object} witness - The signatures (`{publicKey: signature}`) and the optional preimage (hex) of the spender.
+ * @param {string} txHash - The hash of the spending transaction, that the signatures sign.
+ * @param {{height: number, fundingHeight: number|null}} context - The height of the block the transaction goes into, and of the block that last funded the address.
+ * @returns {string|null} Why the script is not met, or null if it is.
+ */
+function evaluateScript(script, witness, txHash, context) {
+    switch (script.type) {
+        case 'signature': {
+            const signature = witness.signatures && witness.signatures[script.publicKey];
+            if (typeof signature !== 'string') {
+                return `missing signature of ${script.publicKey}`;
+            }
+            try {
+                if (ec.keyFromPublic(script.publicKey, 'hex').verify(txHash, signature)) return null;
+            } catch {
+                // A malformed signature is an invalid one
+            }
+            return `invalid signature of ${script.publicKey}`;
+        }
+        case 'hash':
+            if (typeof witness.preimage !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(witness.preimage)) {
+                return `missing preimage of hash ${script.hash}`;
+            }
+            return hashPreimage(witness.preimage) === script.hash ? null : `the preimage does not match hash ${script.hash}`;
+        case 'after':
+            return context.height >= script.height ? null : `locked until height ${script.height}, the transaction is at height ${context.height}`;
+        case 'older': {
+            if (context.fundingHeight === null) {
+                return "the address was never funded";
+            }
+            const unlockHeight = context.fundingHeight + script.blocks;
+            return context.height >= unlockHeight
+                ? null
+                : `locked for ${script.blocks} blocks after its last funding at height ${context.fundingHeight}, until height ${unlockHeight}, the transaction is at height ${context.height}`;
+        }
+        case 'all': {
+            // The first unmet condition is the reason
+            for (const condition of script.conditions) {
+                const failure = evaluateScript(condition, witness, txHash, context);
+                if (failure !== null) return failure;
+            }
+            return null;
+        }
+        case 'any': {
+            const failures = [];
+            for (const condition of script.conditions) {
+                const failure = evaluateScript(condition, witness, txHash, context);
+                if (failure === null) return null;
+                failures.push(failure);
+            }
+            return `no branch is met (${failures.join('; ')})`;
+        }
+        default:
+            return "unknown script condition " + script.type;
+    }
+}
+
+/**
+ * Creates the script of a hash time-locked contract (HTLC), the building block of atomic swaps.
+ * The recipient can spend with the preimage of the hash, or the sender can take the coins back after the timeout.
+ * @param {string} hash - The SHA256 hash of the secret preimage (hex).
+ * @param {string} recipientPublicKey - The public key of the recipient (hex).
+ * @param {string} senderPublicKey - The public key of the sender (hex).
+ * @param {number} timeoutHeight - The height from which the sender can take the coins back.
+ * @returns {Object} The canonical HTLC script.
+ */
+function createHtlcScript(hash, recipientPublicKey, senderPublicKey, timeoutHeight) {
+    return normalizeScript({
+        type: 'any',
+        conditions: [
+            { type: 'all', conditions: [{ type: 'hash', hash: hash }, { type: 'signature', publicKey: recipientPublicKey }] },
+            { type: 'all', conditions: [{ type: 'after', height: timeoutHeight }, { type: 'signature', publicKey: senderPublicKey }] }
+        ]
+    });
+}
+
+module.exports.normalizeScript = normalizeScript;
+module.exports.scriptToAddress = scriptToAddress;
+module.exports.hashPreimage = hashPreimage;
+module.exports.evaluateScript = evaluateScript;
+module.exports.createHtlcScript = createHtlcScript;
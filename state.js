@@ -0,0 +1,226 @@
+// Importing required libraries
+const crypto = require('crypto');
+const SHA256 = require("crypto-js/sha256");
+const { MerkleTree } = require('merkletreejs');
+
+/**
+ * Represents the state of every account (balance and nonce) after a block.
+ * The state is updated incrementally as blocks are applied, and every change
+ * can be undone, to roll the state back when a block is detached in a reorg.
+ * The state is committed to in each block header by the state root: the root of
+ * a Merkle Tree over the accounts, in the order the chain first used their addresses.
+ * A new address only adds a leaf at the end, so the tree is kept up to date in place:
+ * changing an account rehashes the path from its leaf to the root, O(log accounts) hashes.
+ */
+class AccountState {
+    /**
+     * Creates a new, empty AccountState.
+     */
+    constructor() {
+        // Map each address to its account
+        this.accounts = new Map();
+        // The addresses in the order they were first used, the leaves of the state tree
+        this.addresses = [];
+        // Map each address to the position of its leaf
+        this.positions = new Map();
+        // The levels of the state tree, from the leaf hashes up to the root
+        this.layers = [[]];
+    }
+
+    /**
+     * Returns the account of an address.
+     * @param {string} address - The address.
+     * @returns {{balance: number, nonce: number}} The account, with a balance and nonce of 0 if the address was never used.
+     */
+    getAccount(address) {
+        const account = this.accounts.get(address);
+        return account ? { ...account } : { balance: 0, nonce: 0 };
+    }
+
+    /**
+     * Applies a transaction to the state.
+     * The sender pays the amount, the base fee and the tip (the rest of the max fee is refunded), and its nonce goes up by one.
+     * Transactions without a sender (genesis allocations and miner rewards) only credit the recipient.
+     * @param {Transaction} transaction - The transaction to apply.
+     * @param {number} baseFee - The base fee of the block.
+     * @param {Map<string, Object|null>} undo - The accounts before the block, filled in place to undo it.
+     */
+    applyTransaction(transaction, baseFee, undo) {
+        if (transaction.fromAddress !== null) {
+            const sender = this.getAccount(transaction.fromAddress);
+            this.setAccount(transaction.fromAddress, {
+                balance: sender.balance - (transaction.amount + transaction.maxFeePerGas) + transaction.getRefund(baseFee),
+                nonce: sender.nonce + 1
+            }, undo);
+        }
+
+        const recipient = this.getAccount(transaction.toAddress);
+        this.setAccount(transaction.toAddress, { balance: recipient.balance + transaction.amount, nonce: recipient.nonce }, undo);
+    }
+
+    /**
+     * Applies the transactions of a block to the state.
+     * @param {Transaction[]} transactions - The transactions of the block, in order.
+     * @param {number} baseFee - The base fee of the block.
+     * @returns {Map<string, Object|null>} The accounts before the block, to undo it with `revert`.
+     */
+    applyTransactions(transactions, baseFee) {
+        const undo = new Map();
+        for (const transaction of transactions) {
+            this.applyTransaction(transaction, baseFee, undo);
+        }
+        return undo;
+    }
+
+    /**
+     * Undoes the transactions of a block.
+     * @param {Map<string, Object|null>} undo - The accounts before the block, returned by `applyTransactions`.
+     */
+    revert(undo) {
+        const created = [];
+        for (const [address, account] of undo) {
+            if (account === null) {
+                created.push(address);
+            } else {
+                this.accounts.set(address, account);
+                this.updateLeaf(address);
+            }
+        }
+
+        // The accounts the block created are the last leaves, remove them from the end
+        for (const address of created.reverse()) {
+            if (this.addresses[this.addresses.length - 1] !== address) {
+                throw new Error("Only the last block applied to the state can be undone");
+            }
+            this.accounts.delete(address);
+            this.positions.delete(address);
+            this.addresses.pop();
+            this.layers[0].pop();
+            this.updatePath(this.addresses.length - 1);
+        }
+    }
+
+    // Helper to change an account, remembering its first value in the undo record
+    setAccount(address, account, undo) {
+        if (!undo.has(address)) {
+            undo.set(address, this.accounts.has(address) ? this.accounts.get(address) : null);
+        }
+        if (!this.positions.has(address)) {
+            // A new address gets the next leaf
+            this.positions.set(address, this.addresses.length);
+            this.addresses.push(address);
+        }
+        this.accounts.set(address, account);
+        this.updateLeaf(address);
+    }
+
+    // Helper to rehash the leaf of a changed account and the path up to the root
+    updateLeaf(address) {
+        const position = this.positions.get(address);
+        this.layers[0][position] = Buffer.from(AccountState.hashAccount(address, this.accounts.get(address)), 'hex');
+        this.updatePath(position);
+    }
+
+    // Helper to rehash the parents of a node, resizing the levels after a leaf was added or removed.
+    // Nodes are paired left to right and the last node of an odd level moves up unchanged, as in merkletreejs
+    updatePath(position) {
+        let level = 0;
+        while (this.layers[level].length > 1) {
+            const nodes = this.layers[level];
+            if (level + 1 === this.layers.length) {
+                this.layers.push([]);
+            }
+            const parents = this.layers[level + 1];
+            parents.length = Math.ceil(nodes.length / 2);
+
+            const parent = Math.floor(position / 2);
+            const left = nodes[2 * parent];
+            const right = nodes[2 * parent + 1];
+            parents[parent] = right === undefined ? left : crypto.createHash('sha256').update(Buffer.concat([left, right])).digest();
+
+            position = parent;
+            level++;
+        }
+        // Drop the levels above the root, once leaves were removed
+        this.layers.length = level + 1;
+    }
+
+    /**
+     * Copies the state.
+     * @returns {AccountState} An independent copy of the state.
+     */
+    clone() {
+        const copy = new AccountState();
+        copy.accounts = new Map(this.accounts);
+        copy.addresses = [...this.addresses];
+        copy.positions = new Map(this.positions);
+        // The hashes are never changed in place, only the levels holding them
+        copy.layers = this.layers.map(nodes => [...nodes]);
+        return copy;
+    }
+
+    /**
+     * Hashes an account into a leaf of the state tree.
+     * @param {string} address - The address of the account.
+     * @param {{balance: number, nonce: number}} account - The account.
+     * @returns {string} The SHA256 hash of the account (hex).
+     */
+    static hashAccount(address, account) {
+        return SHA256(JSON.stringify([address, account.balance, account.nonce])).toString();
+    }
+
+    /**
+     * Returns the state root, committed to in the block header.
+     * @returns {string} The root of the Merkle Tree of the accounts (hex), empty if no account was used.
+     */
+    getRoot() {
+        const root = this.layers[this.layers.length - 1][0];
+        return root === undefined ? '' : root.toString('hex');
+    }
+
+    /**
+     * Builds a proof of the balance and nonce of an account.
+     * Only accounts that were used have a proof.
+     * @param {string} address - The address of the account.
+     * @returns {{address: string, balance: number, nonce: number, proof: Array<{position: string, data: string}>}|null} The account and its Merkle proof, or null if the account was never used.
+     */
+    getProof(address) {
+        if (!this.accounts.has(address)) {
+            return null;
+        }
+
+        // Collect the sibling of each node on the path to the root, in hex so the proof can be sent as JSON
+        const proof = [];
+        let position = this.positions.get(address);
+        for (const nodes of this.layers.slice(0, -1)) {
+            const sibling = position % 2 === 0 ? position + 1 : position - 1;
+            // The last node of an odd level has no sibling, it moves up unchanged
+            if (sibling < nodes.length) {
+                proof.push({ position: position % 2 === 0 ? 'right' : 'left', data: nodes[sibling].toString('hex') });
+            }
+            position = Math.floor(position / 2);
+        }
+
+        const account = this.accounts.get(address);
+        return { address: address, balance: account.balance, nonce: account.nonce, proof: proof };
+    }
+
+    /**
+     * Verifies a proof of an account against a state root.
+     * @param {Object} accountProof - The account and proof returned by `getProof`.
+     * @param {string} stateRoot - The state root of a block header.
+     * @returns {boolean} True if the proof shows the account has this balance and nonce in that state, false otherwise.
+     */
+    static verifyProof(accountProof, stateRoot) {
+        if (!accountProof || !Array.isArray(accountProof.proof) || !stateRoot) return false;
+
+        const leaf = AccountState.hashAccount(accountProof.address, accountProof);
+        const proofBuffers = accountProof.proof.map(node => ({
+            position: node.position,
+            data: Buffer.from(node.data, 'hex')
+        }));
+        return MerkleTree.verify(proofBuffers, Buffer.from(leaf, 'hex'), Buffer.from(stateRoot, 'hex'), SHA256);
+    }
+}
+
+module.exports.AccountState = AccountState;
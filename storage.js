@@ -0,0 +1,133 @@
+// Importing required libraries
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * A store keeps named JSON documents: the chain, the block signatures, the mempool
+ * and the genesis parameters. The blockchain and the wallets only use the two methods
+ * every store has, so they can run against a directory or entirely in memory:
+ * - read(key): the stored value, or null if there is none
+ * - write(key, value): stores the value, replacing the previous one
+ * Keys are file names (`chain.json`), so a FileStore directory holds the same files as before.
+ */
+
+// Helper to check that a key can be used as a file name
+function checkKey(key) {
+    if (typeof key !== 'string' || !/^[\w.-]+$/.test(key) || key.startsWith('.')) {
+        throw new Error("Invalid store key " + key + ": use letters, digits, ., - and _");
+    }
+}
+
+/**
+ * Represents a store that keeps its documents in memory, for tests and throwaway chains.
+ * Values are kept as JSON, so what is read back is a copy, as it would be from a file.
+ */
+class MemoryStore {
+    /**
+     * Creates a new, empty MemoryStore.
+     */
+    constructor() {
+        // Map each key to the JSON of its value
+        this.documents = new Map();
+    }
+
+    /**
+     * Reads a document.
+     * @param {string} key - The name of the document.
+     * @returns {*} The value, or null if it was never written.
+     */
+    read(key) {
+        checkKey(key);
+        return this.documents.has(key) ? JSON.parse(this.documents.get(key)) : null;
+    }
+
+    /**
+     * Writes a document.
+     * @param {string} key - The name of the document.
+     * @param {*} value - The value, serializable to JSON.
+     */
+    write(key, value) {
+        checkKey(key);
+        this.documents.set(key, JSON.stringify(value));
+    }
+}
+
+/**
+ * Represents a store that keeps every document in a JSON file of a data directory.
+ * Files are written to a temporary file first and then renamed over the old one,
+ * so a crash in the middle of a write never leaves a half-written file behind.
+ */
+class FileStore {
+    /**
+     * Creates a new FileStore.
+     * @param {string} dir - The data directory, created on the first write if needed.
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Reads a document.
+     * @param {string} key - The name of the file.
+     * @returns {*} The value, or null if the file does not exist or is empty.
+     * @throws {Error} If the file is not valid JSON.
+     */
+    read(key) {
+        let data;
+        try {
+            data = fs.readFileSync(this.getPath(key), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (data.trim() === '') {
+            return null;
+        }
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Cannot parse ${this.getPath(key)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Writes a document atomically (write-then-rename).
+     * @param {string} key - The name of the file.
+     * @param {*} value - The value, serializable to JSON.
+     */
+    write(key, value) {
+        const filePath = this.getPath(key);
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        // The temporary file is in the same directory, so the rename cannot cross file systems
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    // Helper to get the path of the file of a document
+    getPath(key) {
+        checkKey(key);
+        return path.join(this.dir, key);
+    }
+}
+
+/**
+ * Returns the data directory used when none is given: the ALTCOIN_DATA_DIR environment variable,
+ * or `.altcoin` in the home directory, so chains, keys and mempools never land in the source tree.
+ * @returns {string} The absolute path of the directory.
+ */
+function getDefaultDataDir() {
+    return path.resolve(process.env.ALTCOIN_DATA_DIR || path.join(os.homedir(), '.altcoin'));
+}
+
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
+module.exports.getDefaultDataDir = getDefaultDataDir;
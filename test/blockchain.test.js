@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Block } = require('../blockchain.js');
+const { createBlockChain, createWallets, copyBlocks } = require('./helpers.js');
+
+// Helper to mine blocks on a chain, each with a transfer between the first two test accounts
+function mineBlocks(blockchain, count, amount) {
+    const [sender, receiver] = createWallets(blockchain);
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+        sender.makeTransaction(receiver.address, amount);
+        blocks.push(receiver.minePendingTransactions());
+    }
+    return blocks;
+}
+
+test('a block that extends the chain is added and applied to the state', () => {
+    const source = createBlockChain();
+    const target = createBlockChain();
+    const blocks = mineBlocks(source, 2, 5);
+
+    copyBlocks(source, target, blocks);
+
+    assert.strictEqual(target.getLatestBlock().hash, blocks[1].hash);
+    assert.strictEqual(target.state.getRoot(), source.state.getRoot());
+    assert.strictEqual(target.addBlock(blocks[1], source.getBlockSignatures(blocks[1].hash)), false);
+});
+
+test('a reorganization leaves the same state root as replaying the new chain', () => {
+    const blockchain = createBlockChain();
+    const other = createBlockChain();
+    mineBlocks(blockchain, 2, 5);
+    const branch = mineBlocks(other, 3, 7);
+
+    const reorgs = [];
+    blockchain.on('reorg', reorg => reorgs.push(reorg));
+    copyBlocks(other, blockchain, branch);
+
+    assert.strictEqual(reorgs.length, 1);
+    assert.strictEqual(reorgs[0].detached.length, 2);
+    assert.strictEqual(reorgs[0].attached.length, 3);
+    assert.strictEqual(blockchain.getLatestBlock().hash, branch[2].hash);
+    assert.strictEqual(blockchain.state.getRoot(), branch[2].stateRoot);
+    assert.ok(blockchain.validateChain().valid);
+
+    // A node that loads the saved chain replays it from the genesis block
+    const replayed = createBlockChain(blockchain.store);
+    assert.strictEqual(replayed.state.getRoot(), blockchain.state.getRoot());
+});
+
+test('the transactions of detached blocks go back to the mempool', () => {
+    const blockchain = createBlockChain();
+    const other = createBlockChain();
+    const [detached] = mineBlocks(blockchain, 1, 5);
+    const miner = createWallets(other)[2];
+    const branch = [miner.minePendingTransactions(), miner.minePendingTransactions()];
+
+    copyBlocks(other, blockchain, branch);
+
+    const pending = blockchain.getPendingTransactions();
+    assert.strictEqual(pending.length, 1);
+    assert.strictEqual(pending[0].hash, detached.transactions[0].calculateHash());
+});
+
+test('an invalid block is rejected and leaves the state of the chain unchanged', () => {
+    const blockchain = createBlockChain();
+    const other = createBlockChain();
+    mineBlocks(blockchain, 2, 5);
+    const branch = mineBlocks(other, 3, 7);
+    const root = blockchain.state.getRoot();
+
+    // A side block with a forged state root
+    const forged = Block.fromJSON(JSON.parse(JSON.stringify(branch[0])));
+    forged.stateRoot = 'ff'.repeat(32);
+    forged.hash = forged.calculateHash();
+    assert.throws(() => blockchain.addBlock(forged, other.getBlockSignatures(branch[0].hash)), /state root/);
+    assert.strictEqual(blockchain.state.getRoot(), root);
+});
+
+test('an invalid block on the tip is rejected and the valid one is still accepted', () => {
+    const blockchain = createBlockChain();
+    const other = createBlockChain();
+    const [block] = mineBlocks(other, 1, 5);
+    const signatures = other.getBlockSignatures(block.hash);
+    const root = blockchain.state.getRoot();
+
+    // The miner pays itself more than the reward
+    const forged = Block.fromJSON(JSON.parse(JSON.stringify(block)));
+    forged.transactions[forged.transactions.length - 1].amount += 1000;
+    forged.hash = forged.calculateHash();
+    assert.throws(() => blockchain.addBlock(forged, signatures), /Invalid block/);
+    assert.strictEqual(blockchain.state.getRoot(), root);
+    assert.strictEqual(blockchain.chain.length, 1);
+
+    assert.strictEqual(blockchain.addBlock(block, signatures), true);
+    assert.strictEqual(blockchain.state.getRoot(), block.stateRoot);
+});
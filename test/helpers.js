@@ -0,0 +1,58 @@
+// Shared fixtures of the test suite
+const { BlockChain, FullWallet } = require('../blockchain.js');
+const { MemoryStore } = require('../storage.js');
+const { SilentLogger } = require('../logger.js');
+
+// Private keys of the test accounts, funded by the test genesis only
+const KEYS = [
+    'bb5343b70388a19927e3c5cb0e1322eba50acd284f5476235487fd2c7c9de783',
+    'c1a3b3b70388a19927e3c5cb0e1322eba50acd284f5476235487fd2c7c9de784',
+    'd2b4b3b70388a19927e3c5cb0e1322eba50acd284f5476235487fd2c7c9de785'
+];
+
+// A test network with difficulty 1, so every block is mined at once
+const GENESIS = {
+    chainId: 1337,
+    timestamp: 1231459200000,
+    difficulty: 1,
+    targetBlockTime: 1000,
+    retargetInterval: 5,
+    maxRetargetFactor: 4,
+    blockReward: 50,
+    halvingInterval: 1000,
+    maxSupply: 1000000,
+    baseFee: 2,
+    targetBlockSize: 2,
+    baseFeeMaxChangeDenominator: 8,
+    defaultPriorityFee: 3,
+    blockSize: 3,
+    alloc: {
+        AdBNi9DC8CAGqv4tLC46vW8dVRFKwZVaa1: 300,
+        AZUikbHnxH1pCPez4PkJMGSESyP8TbizpG: 300,
+        AdpVTZNkpnn6qoMiKKPZ8TY9MjiNZurMzf: 300
+    }
+};
+
+// Helper to open a chain of the test network, in memory unless a store is given
+function createBlockChain(store = new MemoryStore()) {
+    store.write(BlockChain.GENESIS_KEY, GENESIS);
+    return new BlockChain(store, null, new SilentLogger());
+}
+
+// Helper to create the full wallets of the test accounts on a chain
+function createWallets(blockchain) {
+    return KEYS.map(key => new FullWallet(key, blockchain));
+}
+
+// Helper to add the blocks of one chain to another, with their signatures
+function copyBlocks(from, to, blocks) {
+    for (const block of blocks) {
+        to.addBlock(block, from.getBlockSignatures(block.hash));
+    }
+}
+
+module.exports.KEYS = KEYS;
+module.exports.GENESIS = GENESIS;
+module.exports.createBlockChain = createBlockChain;
+module.exports.createWallets = createWallets;
+module.exports.copyBlocks = copyBlocks;
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Transaction } = require('../blockchain.js');
+const { Mempool } = require('../mempool.js');
+const { MemoryStore } = require('../storage.js');
+const { createBlockChain, createWallets } = require('./helpers.js');
+
+// Helper to collect the warnings of the migration
+function createLogger() {
+    const warnings = [];
+    return { warnings: warnings, debug() {}, info() {}, warn: message => warnings.push(message), error() {} };
+}
+
+// Helper to create a version 1 mempool file of two transactions, only the first one signed
+function createVersion1File() {
+    const blockchain = createBlockChain();
+    const [alice, bob] = createWallets(blockchain);
+    const first = new Transaction(alice.address, bob.address, 5, 7, 3, 0, blockchain.chainId);
+    const second = new Transaction(bob.address, alice.address, 5, 7, 3, 0, blockchain.chainId);
+    return {
+        transactions: [{ ...first, hash: first.calculateHash() }, { ...second, hash: second.calculateHash() }],
+        signatures: [alice.signTransaction(first)]
+    };
+}
+
+test('a version 1 mempool file is migrated to entries with their witnesses', () => {
+    const data = createVersion1File();
+    const logger = createLogger();
+
+    const entries = Mempool.migrate(data, logger);
+
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual(entries[0].transaction, data.transactions[0]);
+    assert.deepStrictEqual(entries[0].witness, data.signatures[0]);
+    assert.strictEqual(typeof entries[0].addedAt, 'number');
+    assert.deepStrictEqual(logger.warnings, ['Dropped pending transaction 1 of the version 1 mempool file: it has no witness']);
+});
+
+test('every entry of a version 0 mempool file is dropped with its reason', () => {
+    const logger = createLogger();
+    const data = [
+        { fromAddress: '04abcd', toAddress: 'AZUikbHnxH1pCPez4PkJMGSESyP8TbizpG', amount: 5 },
+        { fromAddress: 'AdBNi9DC8CAGqv4tLC46vW8dVRFKwZVaa1', toAddress: 'AZUikbHnxH1pCPez4PkJMGSESyP8TbizpG', amount: 5 },
+        'not a transaction'
+    ];
+
+    assert.deepStrictEqual(Mempool.migrate(data, logger), []);
+    assert.deepStrictEqual(logger.warnings, [
+        'Dropped pending transaction 0 of the version 0 mempool file: fromAddress 04abcd is not a valid address',
+        'Dropped pending transaction 1 of the version 0 mempool file: it has no witness',
+        'Dropped pending transaction 2 of the version 0 mempool file: it is not a transaction'
+    ]);
+});
+
+test('a mempool file of an unknown version is refused', () => {
+    assert.throws(() => Mempool.migrate({ version: 3, entries: [] }, createLogger()), /Unsupported mempool file version 3/);
+});
+
+test('an old mempool file is only rewritten when the mempool changes', () => {
+    const store = new MemoryStore();
+    const data = createVersion1File();
+    store.write(Mempool.STORE_KEY, data);
+    const mempool = new Mempool(store, createLogger());
+
+    mempool.getEntries();
+    mempool.getTransactions();
+    mempool.has(data.transactions[0].hash);
+    assert.deepStrictEqual(store.read(Mempool.STORE_KEY), data);
+
+    mempool.remove([data.transactions[0].hash]);
+    assert.deepStrictEqual(store.read(Mempool.STORE_KEY), { version: Mempool.VERSION, entries: [] });
+});
+
+test('expired entries are dropped and the file rewritten only by expire', () => {
+    const store = new MemoryStore();
+    store.write(Mempool.STORE_KEY, createVersion1File());
+    const mempool = new Mempool(store, createLogger(), Mempool.MAX_SIZE, 1000);
+    const addedAt = mempool.getEntries()[0].addedAt;
+
+    assert.deepStrictEqual(mempool.expire(addedAt + 999), []);
+    assert.strictEqual(store.read(Mempool.STORE_KEY).version, undefined);
+
+    assert.strictEqual(mempool.expire(addedAt + 1000).length, 1);
+    assert.deepStrictEqual(mempool.getEntries(), []);
+    assert.strictEqual(store.read(Mempool.STORE_KEY).version, Mempool.VERSION);
+});
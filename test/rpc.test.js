@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RpcServer, RpcError } = require('../rpc.js');
+const { createBlockChain, createWallets } = require('./helpers.js');
+
+// Helper to create a server around a new test chain, without listening
+function createServer() {
+    const blockchain = createBlockChain();
+    return new RpcServer(createWallets(blockchain)[0]);
+}
+
+test('a call gets a response with its id', () => {
+    const server = createServer();
+    const response = server.handleBody(JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'getBlockCount' }));
+    assert.deepStrictEqual(response, { jsonrpc: '2.0', id: 7, result: 1 });
+});
+
+test('a body that is not JSON is a parse error', () => {
+    const response = createServer().handleBody('{');
+    assert.strictEqual(response.error.code, RpcError.PARSE_ERROR);
+    assert.strictEqual(response.id, null);
+});
+
+test('an empty batch gets a single Invalid Request error', () => {
+    const response = createServer().handleBody('[]');
+    assert.ok(!Array.isArray(response));
+    assert.strictEqual(response.error.code, RpcError.INVALID_REQUEST);
+    assert.strictEqual(response.id, null);
+});
+
+test('a notification is run but gets no response, even for an error', () => {
+    const server = createServer();
+
+    assert.strictEqual(server.handleBody(JSON.stringify({ jsonrpc: '2.0', method: 'mine' })), null);
+    assert.strictEqual(server.blockchain.chain.length, 2);
+    assert.strictEqual(server.handleBody(JSON.stringify({ jsonrpc: '2.0', method: 'unknown' })), null);
+});
+
+test('a batch only gets the responses of its calls, and nothing if it only has notifications', () => {
+    const server = createServer();
+    const batch = [
+        { jsonrpc: '2.0', id: 1, method: 'getBlockCount' },
+        { jsonrpc: '2.0', method: 'getBlockCount' },
+        { jsonrpc: '2.0', id: 2, method: 'unknown' },
+        1
+    ];
+
+    const responses = server.handleBody(JSON.stringify(batch));
+    assert.deepStrictEqual(responses.map(response => response.id), [1, 2, null]);
+    assert.strictEqual(responses[1].error.code, RpcError.METHOD_NOT_FOUND);
+    assert.strictEqual(responses[2].error.code, RpcError.INVALID_REQUEST);
+
+    assert.strictEqual(server.handleBody(JSON.stringify([batch[1], batch[1]])), null);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SHA256 = require('crypto-js/sha256');
+const { MerkleTree } = require('merkletreejs');
+const { AccountState } = require('../state.js');
+const { BlockChain, Transaction } = require('../blockchain.js');
+const { GENESIS } = require('./helpers.js');
+
+const [ALICE, BOB, CAROL] = Object.keys(GENESIS.alloc);
+
+// Helper to build the state of the genesis allocations and a few transfers, block by block
+function createState() {
+    const state = new AccountState();
+    const undos = [state.applyTransactions(BlockChain.createGenesisTransactions(GENESIS), GENESIS.baseFee)];
+    undos.push(state.applyTransactions([
+        new Transaction(ALICE, BOB, 10, 7, 3, 0, GENESIS.chainId),
+        new Transaction(null, CAROL, 50)
+    ], 2));
+    undos.push(state.applyTransactions([
+        new Transaction(BOB, ALICE, 4, 7, 3, 0, GENESIS.chainId),
+        new Transaction(null, 'AUpRcX2xeSn1nMjBsWbnVR9H4qfYxX7XWE', 50)
+    ], 2));
+    return { state, undos };
+}
+
+test('the state root is the root of a Merkle Tree over the accounts in first-use order', () => {
+    const { state } = createState();
+    const leaves = state.addresses.map(address => AccountState.hashAccount(address, state.getAccount(address)));
+    assert.strictEqual(state.getRoot(), new MerkleTree(leaves, SHA256).getRoot().toString('hex'));
+});
+
+test('a proof of every account verifies against the state root', () => {
+    const { state } = createState();
+    for (const address of state.addresses) {
+        const proof = state.getProof(address);
+        assert.strictEqual(proof.balance, state.getAccount(address).balance);
+        assert.ok(AccountState.verifyProof(proof, state.getRoot()), address);
+    }
+});
+
+test('a proof is rejected with another balance, nonce or state root', () => {
+    const { state, undos } = createState();
+    const proof = state.getProof(ALICE);
+    const root = state.getRoot();
+
+    assert.strictEqual(AccountState.verifyProof({ ...proof, balance: proof.balance + 1 }, root), false);
+    assert.strictEqual(AccountState.verifyProof({ ...proof, nonce: proof.nonce + 1 }, root), false);
+    assert.strictEqual(AccountState.verifyProof({ ...proof, address: BOB }, root), false);
+    assert.strictEqual(AccountState.verifyProof({ ...proof, proof: proof.proof.slice(1) }, root), false);
+    assert.strictEqual(AccountState.verifyProof(null, root), false);
+
+    // A proof of the latest state does not hold for the state before the last block
+    const previousState = state.clone();
+    previousState.revert(undos[undos.length - 1]);
+    assert.strictEqual(AccountState.verifyProof(proof, previousState.getRoot()), false);
+});
+
+test('an account that was never used has no proof', () => {
+    const { state } = createState();
+    assert.strictEqual(state.getProof('AWdLk8FqBHwQpTsZVGSwLuPoJRhXNZDU6C'), null);
+});
+
+test('reverting blocks restores the previous roots', () => {
+    const { state, undos } = createState();
+    const genesisState = new AccountState();
+    genesisState.applyTransactions(BlockChain.createGenesisTransactions(GENESIS), GENESIS.baseFee);
+
+    state.revert(undos.pop());
+    state.revert(undos.pop());
+    assert.strictEqual(state.getRoot(), genesisState.getRoot());
+    assert.strictEqual(state.getAccount(CAROL).balance, GENESIS.alloc[CAROL]);
+});
+
+test('a block that created accounts cannot be undone before the blocks after it', () => {
+    const { state, undos } = createState();
+    assert.throws(() => state.revert(undos[0]), /Only the last block applied to the state can be undone/);
+});